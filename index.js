@@ -3,6 +3,8 @@ import chalk from "chalk";
 import figlet from "figlet";
 import { ethers } from "ethers";
 import fs from "fs";
+import readline from "readline";
+import crypto from "crypto";
 import { HttpsProxyAgent } from "https-proxy-agent";
 import { SocksProxyAgent } from "socks-proxy-agent";
 import axios from "axios";
@@ -10,16 +12,58 @@ import { v4 as uuidv4 } from "uuid";
 
 const HOLESKY_RPC_URL = "https://ethereum-holesky-rpc.publicnode.com/";
 const HOLESKY_CHAIN_ID = 17000;
-const STAKE_CONTRACT_ADDRESS = "0x0c6A085e9d17A51DEA2A7e954ACcAb1429213B75";
-const UNSTAKE_CONTRACT_ADDRESS = "0x3Cc99498dea7a164C9d6D02C7710FF63f36A60ed";
-const CLAIM_CONTRACT_ADDRESS = "0x3Cc99498dea7a164C9d6D02C7710FF63f36A60ed";
-const WETH_ADDRESS = "0x94373a4919B3240D86eA41593D5eBa789FEF3848";
-const EXETH_ADDRESS = "0xDD1ec7e2c5408aB7199302d481a1b77FdA0267A3";
+const DEFAULT_NETWORK = "holesky";
+const BUILTIN_NETWORKS = {
+  holesky: {
+    chainId: HOLESKY_CHAIN_ID,
+    rpcUrls: [HOLESKY_RPC_URL],
+    contracts: {
+      stake: "0x0c6A085e9d17A51DEA2A7e954ACcAb1429213B75",
+      unstake: "0x3Cc99498dea7a164C9d6D02C7710FF63f36A60ed",
+      claim: "0x3Cc99498dea7a164C9d6D02C7710FF63f36A60ed",
+      weth: "0x94373a4919B3240D86eA41593D5eBa789FEF3848",
+      exeth: "0xDD1ec7e2c5408aB7199302d481a1b77FdA0267A3"
+    },
+    explorer: "https://holesky.etherscan.io"
+  }
+};
+const NETWORK_CONTRACT_KEYS = ["stake", "unstake", "claim", "weth", "exeth"];
 const CONFIG_FILE = "config.json";
+const CLAIM_SCHEDULE_FILE = "claim_schedule.json";
+const NONCE_STATE_FILE = "nonce_state.json";
+const CYCLE_STATE_FILE = "cycle_state.json";
+const LOG_DIR = "logs";
+const VAULT_FILE = "vault.json";
+const KEYSTORE_DIR = "keystores";
+const ACCOUNTS_FILE = "accounts.json";
+const FUNDER_KEY_FILE = "funder.txt";
+const FUNDER_KEYSTORE_FILE = "funder.json";
+const GAS_FUNDING_BATCH_SIZE = 10;
+const ACCOUNT_ACTIONS = ["stake", "unstake", "claim", "wrap", "unwrap"];
+const AMOUNT_STRATEGIES = ["fixed", "percent", "allButReserve"];
+const DEFAULT_HD_PATH = "m/44'/60'/0'/0";
+const MAX_HD_ACCOUNTS = 1000;
+const TX_HISTORY_FILE = "tx_history.jsonl";
+const HISTORY_EXPORT_DIR = "exports";
+const TX_HISTORY_FIELDS = ["timestamp", "chainId", "wallet", "action", "amount", "token", "hash", "blockNumber", "gasUsed", "effectiveGasPrice", "status", "error"];
+const CLAIM_SCHEDULE_BUFFER_MS = 15000;
+const CLAIM_RETRY_DELAY_MS = 10 * 60 * 1000;
+const MAX_TIMER_DELAY = 2147483647;
+const CRON_WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const RPC_RESULT_WINDOW = 20;
+const RPC_MAX_ERROR_RATE = 0.5;
+const RPC_HEALTH_TIMEOUT_MS = 10000;
+const PROXY_HEALTH_TIMEOUT_MS = 10000;
+const PROXY_MAX_FAILURES = 3;
+const PROXY_CHECK_CONCURRENCY = 10;
+const PROXY_SCHEMES = ["http", "https", "socks", "socks4", "socks5", "socks5h"];
+const CLI_COMMANDS = ["balances", "stake", "unstake", "claim", "wrap", "unwrap", "fund", "sweep", "run-daily", "history", "migrate-keys", "generate-wallets"];
 const isDebug = false;
 
-const directions = [
-  { chain: "holesky", rpc: HOLESKY_RPC_URL, chainId: HOLESKY_CHAIN_ID }
+let networkProfile = { name: DEFAULT_NETWORK, ...BUILTIN_NETWORKS[DEFAULT_NETWORK] };
+let networkStatus = "unchecked";
+let directions = [
+  { chain: DEFAULT_NETWORK, get rpc() { return getActiveRpcUrl(); }, chainId: HOLESKY_CHAIN_ID }
 ];
 
 const CLAIM_ABI = [
@@ -37,10 +81,22 @@ let walletInfo = {
   activeAccount: "N/A"
 };
 let transactionLogs = [];
+let accountSettings = {};
+let rpcEndpoints = [];
+let activeRpcIndex = 0;
+let rpcHealthInterval = null;
+let proxyHealth = {};
+let proxyAssignments = {};
+let proxyHealthInterval = null;
+let currentLogDay = null;
+let logFileDisabled = false;
 let activityRunning = false;
 let isCycleRunning = false;
 let shouldStop = false;
 let dailyActivityInterval = null;
+let nextCycleAt = null;
+let cycleState = null;
+let zonedFormatters = {};
 let accounts = [];
 let proxies = [];
 let selectedWalletIndex = 0;
@@ -49,18 +105,56 @@ const borderBlinkColors = ["cyan", "blue", "magenta", "red", "yellow", "green"];
 let borderBlinkIndex = 0;
 let blinkCounter = 0;
 let spinnerIndex = 0;
-let nonceTracker = {};
+let nonceState = {};
+let nonceLocks = {};
+const cliOptions = parseCliArgs(process.argv.slice(2));
+const isHeadless = cliOptions.command !== null;
 let hasLoggedSleepInterrupt = false;
 let isHeaderRendered = false;
 let activeProcesses = 0;
+let withdrawRequestData = [];
+let walletEntries = [];
+let claimSchedule = {};
+let claimTimers = {};
+let claimsInProgress = new Set();
+let gasFundingRunning = false;
+let funderKey = null;
+let sweepRunning = false;
 
 let dailyActivityConfig = {
   stakeRepetitions: 1,
   unstakeRepetitions: 1,
   claimRepetitions: 1,
+  claimMaxAttempts: 3,
   wethStakeRange: { min: 0.01, max: 0.02 },
   exethUnstakeRange: { min: 0.01, max: 0.02 },
-  loopHours: 24
+  amountStrategies: {
+    stake: { strategy: "fixed", percentRange: { min: 10, max: 25 }, reserve: 0 },
+    unstake: { strategy: "fixed", percentRange: { min: 10, max: 25 }, reserve: 0 }
+  },
+  amountDecimals: 4,
+  autoWrap: true,
+  gasReserveEth: 0.005,
+  loopHours: 24,
+  gasLimitMultiplier: 1.2,
+  gasLimitCeiling: 1000000,
+  confirmationTimeoutSeconds: 300,
+  maxReplacements: 3,
+  feeBumpPercent: 15,
+  dryRun: false,
+  logMaxFileSizeMB: 10,
+  logMaxFiles: 14,
+  logBufferSize: 1000,
+  targetGroup: "",
+  network: DEFAULT_NETWORK,
+  networks: {},
+  rpcHealthCheckSeconds: 60,
+  rpcMaxBlockLag: 5,
+  proxyHealthCheckSeconds: 300,
+  proxyScheme: "http",
+  concurrency: 1,
+  schedule: { cron: "", windows: [], timezone: "Asia/Jakarta", walletJitterMinutes: 0 },
+  gasFunding: { autoBeforeCycle: false, thresholdEth: 0.005, targetEth: 0.02 }
 };
 
 const userAgents = [
@@ -82,17 +176,126 @@ function loadConfig() {
       dailyActivityConfig.stakeRepetitions = Number(config.stakeRepetitions) || 1;
       dailyActivityConfig.unstakeRepetitions = Number(config.unstakeRepetitions) || 1;
       dailyActivityConfig.claimRepetitions = Number(config.claimRepetitions) || 1;
+      dailyActivityConfig.claimMaxAttempts = Math.max(1, Math.floor(Number(config.claimMaxAttempts)) || 3);
       dailyActivityConfig.wethStakeRange.min = Number(config.wethStakeRange?.min) || 0.01;
       dailyActivityConfig.wethStakeRange.max = Number(config.wethStakeRange?.max) || 0.02;
       dailyActivityConfig.exethUnstakeRange.min = Number(config.exethUnstakeRange?.min) || 0.01;
       dailyActivityConfig.exethUnstakeRange.max = Number(config.exethUnstakeRange?.max) || 0.02;
+      dailyActivityConfig.amountStrategies = {
+        stake: loadAmountStrategy("stake", config.amountStrategies?.stake || {}),
+        unstake: loadAmountStrategy("unstake", config.amountStrategies?.unstake || {})
+      };
+      const amountDecimals = Number(config.amountDecimals ?? 4);
+      if (!(Number.isInteger(amountDecimals) && amountDecimals >= 1 && amountDecimals <= 18)) {
+        addLog(`Invalid amountDecimals "${config.amountDecimals}" in ${CONFIG_FILE}, expected 1-18. Using 4.`, "error");
+      }
+      dailyActivityConfig.amountDecimals = Number.isInteger(amountDecimals) && amountDecimals >= 1 && amountDecimals <= 18 ? amountDecimals : 4;
+      dailyActivityConfig.autoWrap = config.autoWrap !== false;
+      dailyActivityConfig.gasReserveEth = Math.max(0, Number(config.gasReserveEth ?? 0.005) || 0);
       dailyActivityConfig.loopHours = Number(config.loopHours) || 24;
+      dailyActivityConfig.concurrency = Math.max(1, Math.floor(Number(config.concurrency)) || 1);
+      dailyActivityConfig.schedule = loadScheduleConfig(config.schedule || {});
+      dailyActivityConfig.gasFunding = {
+        autoBeforeCycle: config.gasFunding?.autoBeforeCycle === true,
+        thresholdEth: Number(config.gasFunding?.thresholdEth) || 0.005,
+        targetEth: Number(config.gasFunding?.targetEth) || 0.02
+      };
+      if (dailyActivityConfig.gasFunding.targetEth <= dailyActivityConfig.gasFunding.thresholdEth) {
+        addLog(`gasFunding.targetEth must be greater than thresholdEth in ${CONFIG_FILE}. Using 0.005 / 0.02 ETH.`, "error");
+        dailyActivityConfig.gasFunding.thresholdEth = 0.005;
+        dailyActivityConfig.gasFunding.targetEth = 0.02;
+      }
+      dailyActivityConfig.gasLimitMultiplier = Number(config.gasLimitMultiplier) || 1.2;
+      dailyActivityConfig.gasLimitCeiling = Number(config.gasLimitCeiling) || 1000000;
+      dailyActivityConfig.confirmationTimeoutSeconds = Number(config.confirmationTimeoutSeconds) || 300;
+      dailyActivityConfig.maxReplacements = Number(config.maxReplacements ?? 3) || 0;
+      dailyActivityConfig.feeBumpPercent = Math.max(10, Number(config.feeBumpPercent) || 15);
+      dailyActivityConfig.dryRun = config.dryRun === true;
+      dailyActivityConfig.logMaxFileSizeMB = Number(config.logMaxFileSizeMB) || 10;
+      dailyActivityConfig.logMaxFiles = Number(config.logMaxFiles) || 14;
+      dailyActivityConfig.logBufferSize = Number(config.logBufferSize) || 1000;
+      dailyActivityConfig.targetGroup = typeof config.targetGroup === "string" ? config.targetGroup : "";
+      dailyActivityConfig.networks = {};
+      const networks = { ...config.networks };
+      if (Array.isArray(config.rpcUrls) && !networks[DEFAULT_NETWORK]) {
+        networks[DEFAULT_NETWORK] = { ...BUILTIN_NETWORKS[DEFAULT_NETWORK], rpcUrls: config.rpcUrls };
+      }
+      for (const [name, profile] of Object.entries(networks)) {
+        try {
+          normalizeNetworkProfile(name, profile);
+          dailyActivityConfig.networks[name] = profile;
+        } catch (error) {
+          addLog(`Ignoring network profile "${name}": ${error.message}`, "error");
+        }
+      }
+      dailyActivityConfig.network = typeof config.network === "string" ? config.network : DEFAULT_NETWORK;
+      dailyActivityConfig.rpcHealthCheckSeconds = Math.max(10, Number(config.rpcHealthCheckSeconds) || 60);
+      dailyActivityConfig.rpcMaxBlockLag = Number(config.rpcMaxBlockLag ?? 5) || 0;
+      dailyActivityConfig.proxyHealthCheckSeconds = Math.max(30, Number(config.proxyHealthCheckSeconds) || 300);
+      if (config.proxyScheme !== undefined && !PROXY_SCHEMES.includes(config.proxyScheme)) {
+        addLog(`Invalid proxyScheme "${config.proxyScheme}" in ${CONFIG_FILE}, expected one of ${PROXY_SCHEMES.join(", ")}. Using http.`, "error");
+      }
+      dailyActivityConfig.proxyScheme = PROXY_SCHEMES.includes(config.proxyScheme) ? config.proxyScheme : "http";
     } else {
       addLog("No config file found, using default settings.", "info");
     }
   } catch (error) {
     addLog(`Failed to load config: ${error.message}`, "error");
   }
+  applyNetworkProfile(dailyActivityConfig.network);
+}
+
+function loadScheduleConfig(config) {
+  const schedule = { cron: "", windows: [], timezone: "Asia/Jakarta", walletJitterMinutes: Math.max(0, Number(config.walletJitterMinutes) || 0) };
+  if (config.timezone) {
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: config.timezone });
+      schedule.timezone = config.timezone;
+    } catch (error) {
+      addLog(`Invalid schedule timezone "${config.timezone}", using ${schedule.timezone}`, "error");
+    }
+  }
+  if (config.cron) {
+    try {
+      if (getNextCronRun(parseCronExpression(config.cron), schedule.timezone, Date.now()) === null) {
+        throw new Error("it never fires");
+      }
+      schedule.cron = config.cron.trim();
+    } catch (error) {
+      addLog(`Ignoring schedule cron "${config.cron}": ${error.message}`, "error");
+    }
+  }
+  for (const window of [].concat(config.windows || [])) {
+    try {
+      parseTimeWindow(window);
+      schedule.windows.push(window);
+    } catch (error) {
+      addLog(`Ignoring schedule window: ${error.message}`, "error");
+    }
+  }
+  if (schedule.cron && schedule.windows.length > 0) {
+    addLog("Schedule has both cron and windows set. Using cron.", "warn");
+  }
+  return schedule;
+}
+
+function loadAmountStrategy(action, config) {
+  const strategy = { strategy: "fixed", percentRange: { min: 10, max: 25 }, reserve: Math.max(0, Number(config.reserve) || 0) };
+  if (config.strategy !== undefined && !AMOUNT_STRATEGIES.includes(config.strategy)) {
+    addLog(`Invalid ${action} amount strategy "${config.strategy}", expected one of ${AMOUNT_STRATEGIES.join(", ")}. Using fixed.`, "error");
+  } else if (config.strategy) {
+    strategy.strategy = config.strategy;
+  }
+  if (config.percentRange !== undefined) {
+    const min = Number(config.percentRange.min);
+    const max = Number(config.percentRange.max);
+    if (min > 0 && max >= min && max <= 100) {
+      strategy.percentRange = { min, max };
+    } else {
+      addLog(`Ignoring ${action} percentRange: expected 0 < min <= max <= 100`, "error");
+    }
+  }
+  return strategy;
 }
 
 function saveConfig() {
@@ -138,8 +341,22 @@ function getShortAddress(address) {
   return address ? address.slice(0, 6) + "..." + address.slice(-4) : "N/A";
 }
 
-function addLog(message, type = "info") {
+function getTokenSymbol(tokenAddress) {
+  if (tokenAddress.toLowerCase() === networkProfile.contracts.weth.toLowerCase()) return "WETH";
+  if (tokenAddress.toLowerCase() === networkProfile.contracts.exeth.toLowerCase()) return "eXETH";
+  return getShortAddress(tokenAddress);
+}
+
+function addLog(message, type = "info", context = {}) {
   if (type === "debug" && !isDebug) return;
+  writeLogEntry({
+    timestamp: new Date().toISOString(),
+    level: type,
+    wallet: context.wallet ? context.wallet.toLowerCase() : null,
+    action: context.action || null,
+    txHash: context.txHash || null,
+    message
+  });
   const timestamp = new Date().toLocaleTimeString("id-ID", { timeZone: "Asia/Jakarta" });
   let coloredMessage;
   switch (type) {
@@ -168,10 +385,59 @@ function addLog(message, type = "info") {
       coloredMessage = chalk.white(message);
   }
   const logMessage = `[${timestamp}] ${coloredMessage}`;
+  if (isHeadless) {
+    if (!cliOptions.quiet) process.stderr.write(`${logMessage}\n`);
+    return;
+  }
   transactionLogs.push(logMessage);
+  if (transactionLogs.length > dailyActivityConfig.logBufferSize) {
+    transactionLogs.splice(0, transactionLogs.length - dailyActivityConfig.logBufferSize);
+  }
   updateLogs();
 }
 
+function getLogFilePath(day, part = 0) {
+  return `${LOG_DIR}/bot-${day}${part > 0 ? `.${part}` : ""}.jsonl`;
+}
+
+function pruneLogFiles() {
+  const logFiles = fs.readdirSync(LOG_DIR)
+    .filter(file => /^bot-.*\.jsonl$/.test(file))
+    .map(file => ({ file, mtime: fs.statSync(`${LOG_DIR}/${file}`).mtimeMs }))
+    .sort((a, b) => b.mtime - a.mtime);
+  for (const { file } of logFiles.slice(Math.max(1, dailyActivityConfig.logMaxFiles))) {
+    fs.unlinkSync(`${LOG_DIR}/${file}`);
+  }
+}
+
+function writeLogEntry(entry) {
+  if (logFileDisabled) return;
+  try {
+    const line = `${JSON.stringify(entry)}\n`;
+    const day = entry.timestamp.slice(0, 10);
+    const filePath = getLogFilePath(day);
+    if (!fs.existsSync(LOG_DIR)) fs.mkdirSync(LOG_DIR, { recursive: true });
+    const maxBytes = dailyActivityConfig.logMaxFileSizeMB * 1024 * 1024;
+    let rotated = false;
+    if (fs.existsSync(filePath) && fs.statSync(filePath).size + Buffer.byteLength(line) > maxBytes) {
+      const parts = fs.readdirSync(LOG_DIR)
+        .map(file => file.match(new RegExp(`^bot-${day}\\.(\\d+)\\.jsonl$`)))
+        .filter(Boolean)
+        .map(match => Number(match[1]));
+      fs.renameSync(filePath, getLogFilePath(day, Math.max(0, ...parts) + 1));
+      rotated = true;
+    }
+    fs.appendFileSync(filePath, line);
+    if (rotated || day !== currentLogDay) {
+      currentLogDay = day;
+      pruneLogFiles();
+    }
+  } catch (error) {
+    logFileDisabled = true;
+    addLog(`Failed to write log file, file logging disabled: ${error.message}`, "error");
+  }
+}
+
 function getShortHash(hash) {
   return hash.slice(0, 6) + "..." + hash.slice(-4);
 }
@@ -183,27 +449,203 @@ function clearTransactionLogs() {
   addLog("Transaction logs cleared.", "success");
 }
 
-function loadAccounts() {
+function getKeystoreFiles() {
+  if (!fs.existsSync(KEYSTORE_DIR)) return [];
+  return fs.readdirSync(KEYSTORE_DIR)
+    .filter(file => file.endsWith(".json"))
+    .sort()
+    .map(file => `${KEYSTORE_DIR}/${file}`);
+}
+
+function hasEncryptedAccounts() {
+  return fs.existsSync(VAULT_FILE) || getKeystoreFiles().length > 0;
+}
+
+function deriveVaultKey(password, salt, { N, r, p }) {
+  return crypto.scryptSync(password, salt, 32, { N, r, p, maxmem: 256 * N * r });
+}
+
+function encryptVault(entries, password) {
+  const kdfparams = { N: 131072, r: 8, p: 1, salt: crypto.randomBytes(32).toString("hex") };
+  const key = deriveVaultKey(password, Buffer.from(kdfparams.salt, "hex"), kdfparams);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify({ entries }), "utf8"), cipher.final()]);
+  return {
+    version: 1,
+    cipher: "aes-256-gcm",
+    kdf: "scrypt",
+    kdfparams,
+    iv: iv.toString("hex"),
+    tag: cipher.getAuthTag().toString("hex"),
+    ciphertext: ciphertext.toString("hex")
+  };
+}
+
+function decryptVault(vault, password) {
+  if (vault.version !== 1 || vault.cipher !== "aes-256-gcm" || vault.kdf !== "scrypt") {
+    throw new Error(`Unsupported vault format in ${VAULT_FILE}`);
+  }
+  const key = deriveVaultKey(password, Buffer.from(vault.kdfparams.salt, "hex"), vault.kdfparams);
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(vault.iv, "hex"));
+  decipher.setAuthTag(Buffer.from(vault.tag, "hex"));
+  try {
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(vault.ciphertext, "hex")), decipher.final()]);
+    const payload = JSON.parse(plaintext.toString("utf8"));
+    return payload.entries || payload.privateKeys;
+  } catch (error) {
+    throw new Error("Wrong vault password or corrupted vault");
+  }
+}
+
+function parseDerivationRange(spec) {
+  const match = spec.match(/^(m(?:\/\d+'?)*)\/(\d+)(?:\.\.(\d+))?$/);
+  if (!match) throw new Error(`Invalid derivation path: ${spec} (expected e.g. ${DEFAULT_HD_PATH}/0..49)`);
+  const start = Number(match[2]);
+  const end = match[3] !== undefined ? Number(match[3]) : start;
+  if (end < start) throw new Error(`Invalid index range in ${spec}`);
+  if (end - start + 1 > MAX_HD_ACCOUNTS) throw new Error(`Index range in ${spec} exceeds ${MAX_HD_ACCOUNTS} accounts`);
+  return { basePath: match[1], start, end };
+}
+
+function deriveHdAccounts(phrase, spec) {
+  const { basePath, start, end } = parseDerivationRange(spec);
+  const root = ethers.HDNodeWallet.fromPhrase(phrase, undefined, basePath);
+  const derived = [];
+  for (let index = start; index <= end; index++) {
+    const child = root.deriveChild(index);
+    derived.push({ privateKey: child.privateKey, path: child.path });
+  }
+  return derived;
+}
+
+function expandAccountEntries(entries, source) {
+  const expanded = [];
+  entries.forEach((entry, index) => {
+    if (!entry.includes(" ")) {
+      expanded.push({ privateKey: entry });
+      return;
+    }
+    const [phrase, spec = `${DEFAULT_HD_PATH}/0`] = entry.split("|").map(part => part.trim());
+    try {
+      expanded.push(...deriveHdAccounts(phrase.split(/\s+/).join(" "), spec));
+    } catch (error) {
+      throw new Error(`Invalid mnemonic entry ${index + 1} in ${source}: ${error.shortMessage || error.message}`);
+    }
+  });
+  return expanded;
+}
+
+function loadAccounts(password = null) {
   try {
+    if (hasEncryptedAccounts()) {
+      if (password === null) throw new Error("Accounts are encrypted, a password is required to unlock them");
+      const loaded = [];
+      const sources = [];
+      if (fs.existsSync(VAULT_FILE)) {
+        const entries = decryptVault(JSON.parse(fs.readFileSync(VAULT_FILE, "utf8")), password);
+        loaded.push(...expandAccountEntries(entries, VAULT_FILE));
+        sources.push(VAULT_FILE);
+      }
+      const keystoreFiles = getKeystoreFiles();
+      for (const file of keystoreFiles) {
+        try {
+          const wallet = ethers.Wallet.fromEncryptedJsonSync(fs.readFileSync(file, "utf8"), password);
+          loaded.push({ privateKey: wallet.privateKey });
+        } catch (error) {
+          throw new Error(`Failed to decrypt ${file}: ${error.shortMessage || error.message}`);
+        }
+      }
+      if (keystoreFiles.length > 0) sources.push(`${keystoreFiles.length} keystore file(s)`);
+      if (loaded.length === 0) throw new Error(`No private keys found in ${sources.join(" and ")}`);
+      accounts = loaded;
+      addLog(`Loaded ${accounts.length} accounts from ${sources.join(" and ")}`, "success");
+      if (fs.existsSync("pk.txt")) {
+        addLog("pk.txt is ignored while encrypted accounts exist. Delete it once the vault works.", "warn");
+      }
+      return;
+    }
     const data = fs.readFileSync("pk.txt", "utf8");
-    accounts = data.split("\n").map(line => line.trim()).filter(line => line).map(privateKey => ({ privateKey }));
+    accounts = expandAccountEntries(data.split("\n").map(line => line.trim()).filter(line => line), "pk.txt");
     if (accounts.length === 0) {
       throw new Error("No private keys found in pk.txt");
     }
     addLog(`Loaded ${accounts.length} accounts from pk.txt`, "success");
+    addLog("Private keys are stored in plaintext. Run \"node index.js migrate-keys\" to encrypt them.", "warn");
   } catch (error) {
     addLog(`Failed to load accounts: ${error.message}`, "error");
     accounts = [];
   }
 }
 
+function parseProxyLine(line, defaultScheme = dailyActivityConfig.proxyScheme) {
+  const schemeMatch = line.match(/^([a-z0-9]+):\/\//i);
+  if (schemeMatch) {
+    const scheme = schemeMatch[1].toLowerCase();
+    if (!PROXY_SCHEMES.includes(scheme)) throw new Error(`unsupported scheme "${scheme}"`);
+    let url;
+    try {
+      url = new URL(line);
+    } catch (error) {
+      throw new Error("invalid proxy URL");
+    }
+    if (!url.hostname) throw new Error("missing host");
+    if (Boolean(url.username) !== Boolean(url.password)) throw new Error("username and password must not be empty");
+    const auth = url.username ? `${url.username}:${url.password}@` : "";
+    return `${scheme}://${auth}${url.host}`;
+  }
+  const scheme = defaultScheme;
+  const rest = line;
+  let host, port, username = null, password = null;
+  const at = rest.lastIndexOf("@");
+  if (at !== -1) {
+    const credentials = rest.slice(0, at);
+    const separator = credentials.indexOf(":");
+    if (separator <= 0) throw new Error("credentials must be user:pass");
+    username = credentials.slice(0, separator);
+    password = credentials.slice(separator + 1);
+    const hostPort = rest.slice(at + 1).split(":");
+    if (hostPort.length !== 2) throw new Error("expected user:pass@host:port");
+    [host, port] = hostPort;
+  } else {
+    const parts = rest.split(":");
+    if (parts.length === 2) {
+      [host, port] = parts;
+    } else if (parts.length >= 4) {
+      [host, port, username] = parts;
+      password = parts.slice(3).join(":");
+    } else {
+      throw new Error("expected host:port, host:port:user:pass or user:pass@host:port");
+    }
+  }
+  if (!/^[a-z0-9.-]+$/i.test(host || "")) throw new Error(`invalid host "${host || ""}"`);
+  const portNumber = Number(port);
+  if (!Number.isInteger(portNumber) || portNumber < 1 || portNumber > 65535) throw new Error(`invalid port "${port || ""}"`);
+  if (username !== null && (!username || !password)) throw new Error("username and password must not be empty");
+  const auth = username !== null ? `${encodeURIComponent(username)}:${encodeURIComponent(password)}@` : "";
+  return `${scheme}://${auth}${host}:${portNumber}`;
+}
+
 function loadProxies() {
+  proxyHealth = {};
+  proxyAssignments = {};
   try {
     if (fs.existsSync("proxy.txt")) {
-      const data = fs.readFileSync("proxy.txt", "utf8");
-      proxies = data.split("\n").map(proxy => proxy.trim()).filter(proxy => proxy);
-      if (proxies.length === 0) throw new Error("No proxy found in proxy.txt");
-      addLog(`Loaded ${proxies.length} proxies from proxy.txt`, "success");
+      const lines = fs.readFileSync("proxy.txt", "utf8").split("\n");
+      proxies = [];
+      let malformed = 0;
+      lines.forEach((line, index) => {
+        const trimmed = line.trim();
+        if (!trimmed) return;
+        try {
+          proxies.push(parseProxyLine(trimmed));
+        } catch (error) {
+          malformed++;
+          addLog(`proxy.txt line ${index + 1}: ${error.message}, skipped`, "error");
+        }
+      });
+      if (proxies.length === 0) throw new Error("No valid proxy found in proxy.txt");
+      addLog(`Loaded ${proxies.length} proxies from proxy.txt${malformed > 0 ? ` (${malformed} malformed line(s) skipped)` : ""}`, malformed > 0 ? "warn" : "success");
     } else {
       addLog("No proxy.txt found, running without proxy.", "info");
     }
@@ -213,21 +655,514 @@ function loadProxies() {
   }
 }
 
+function loadAccountSettings() {
+  accountSettings = {};
+  try {
+    if (!fs.existsSync(ACCOUNTS_FILE)) return;
+    const data = JSON.parse(fs.readFileSync(ACCOUNTS_FILE, "utf8"));
+    for (const [address, settings] of Object.entries(data)) {
+      if (!ethers.isAddress(address)) {
+        addLog(`${ACCOUNTS_FILE}: ignoring entry with invalid address ${address}`, "warn");
+        continue;
+      }
+      const normalized = { ...settings };
+      for (const key of ["stakeRepetitions", "unstakeRepetitions", "claimRepetitions"]) {
+        if (normalized[key] !== undefined && !(Number.isInteger(normalized[key]) && normalized[key] >= 0)) {
+          addLog(`${ACCOUNTS_FILE}: ignoring invalid ${key} for ${getShortAddress(address)}`, "warn");
+          delete normalized[key];
+        }
+      }
+      for (const key of ["wethStakeRange", "exethUnstakeRange"]) {
+        const range = normalized[key];
+        if (range !== undefined && !(range.min > 0 && range.max >= range.min)) {
+          addLog(`${ACCOUNTS_FILE}: ignoring invalid ${key} for ${getShortAddress(address)}`, "warn");
+          delete normalized[key];
+        }
+      }
+      if (normalized.proxy !== undefined) {
+        try {
+          normalized.proxy = parseProxyLine(String(normalized.proxy).trim());
+        } catch (error) {
+          addLog(`${ACCOUNTS_FILE}: ignoring invalid proxy for ${getShortAddress(address)}: ${error.message}`, "warn");
+          delete normalized.proxy;
+        }
+      }
+      if (normalized.enabledActions !== undefined) {
+        const unknown = [].concat(normalized.enabledActions).filter(action => !ACCOUNT_ACTIONS.includes(action));
+        if (unknown.length > 0) {
+          addLog(`${ACCOUNTS_FILE}: unknown action(s) ${unknown.join(", ")} for ${getShortAddress(address)}`, "warn");
+        }
+      }
+      accountSettings[address.toLowerCase()] = normalized;
+    }
+    addLog(`Loaded settings for ${Object.keys(accountSettings).length} wallet(s) from ${ACCOUNTS_FILE}`, "success");
+  } catch (error) {
+    addLog(`Failed to load ${ACCOUNTS_FILE}: ${error.message}`, "error");
+    accountSettings = {};
+  }
+}
+
+function getAccountAddress(accountIndex) {
+  const account = accounts[accountIndex];
+  if (account.address === undefined) {
+    try {
+      account.address = new ethers.Wallet(account.privateKey).address;
+    } catch (error) {
+      account.address = null;
+    }
+  }
+  return account.address;
+}
+
+function getAccountSettings(accountIndex) {
+  const address = getAccountAddress(accountIndex);
+  return (address && accountSettings[address.toLowerCase()]) || {};
+}
+
+function getAccountConfig(accountIndex) {
+  const settings = getAccountSettings(accountIndex);
+  return {
+    stakeRepetitions: settings.stakeRepetitions ?? dailyActivityConfig.stakeRepetitions,
+    unstakeRepetitions: settings.unstakeRepetitions ?? dailyActivityConfig.unstakeRepetitions,
+    claimRepetitions: settings.claimRepetitions ?? dailyActivityConfig.claimRepetitions,
+    wethStakeRange: settings.wethStakeRange ?? dailyActivityConfig.wethStakeRange,
+    exethUnstakeRange: settings.exethUnstakeRange ?? dailyActivityConfig.exethUnstakeRange,
+    enabledActions: settings.enabledActions !== undefined ? [].concat(settings.enabledActions) : ACCOUNT_ACTIONS
+  };
+}
+
+function isActionEnabled(accountIndex, action) {
+  return getAccountConfig(accountIndex).enabledActions.includes(action);
+}
+
+function assertActionEnabled(accountIndex, action) {
+  if (isActionEnabled(accountIndex, action)) return;
+  const error = new Error(`${action} is disabled for this wallet`);
+  error.kind = "skipped";
+  throw error;
+}
+
+function getAccountProxy(accountIndex) {
+  return getAccountSettings(accountIndex).proxy || proxyAssignments[accountIndex] || proxies[accountIndex % proxies.length] || null;
+}
+
+function getAccountLabel(accountIndex) {
+  const { label } = getAccountSettings(accountIndex);
+  const shortAddress = getShortAddress(getAccountAddress(accountIndex));
+  return label ? `${label} (${shortAddress})` : shortAddress;
+}
+
+function getAccountGroups() {
+  const groups = new Set(accounts.map((_, i) => getAccountSettings(i).group).filter(group => group));
+  return [...groups].sort();
+}
+
+function getTargetAccountIndexes() {
+  const group = dailyActivityConfig.targetGroup;
+  return accounts.map((_, i) => i).filter(i => !group || getAccountSettings(i).group === group);
+}
+
 function createAgent(proxyUrl) {
   if (!proxyUrl) return null;
-  if (proxyUrl.startsWith("socks")) {
+  if (new URL(proxyUrl).protocol.startsWith("socks")) {
     return new SocksProxyAgent(proxyUrl);
   } else {
     return new HttpsProxyAgent(proxyUrl);
   }
 }
 
+function getProxyHost(proxyUrl) {
+  try {
+    const url = new URL(proxyUrl);
+    return url.port ? `${url.hostname}:${url.port}` : url.hostname;
+  } catch (error) {
+    return proxyUrl;
+  }
+}
+
+function getProxyPool() {
+  const pinned = accounts.map((_, i) => getAccountSettings(i).proxy).filter(proxy => proxy);
+  return [...new Set([...proxies, ...pinned])];
+}
+
+function isProxyUsable(proxyUrl) {
+  return proxyHealth[proxyUrl]?.healthy !== false;
+}
+
+function pickSpareProxy(excludeUrl) {
+  const load = {};
+  for (const proxyUrl of Object.values(proxyAssignments)) load[proxyUrl] = (load[proxyUrl] || 0) + 1;
+  const candidates = proxies.filter(proxyUrl => proxyUrl !== excludeUrl && proxyHealth[proxyUrl]?.healthy);
+  if (candidates.length === 0) return null;
+  return candidates.reduce((a, b) => {
+    const loadA = load[a] || 0;
+    const loadB = load[b] || 0;
+    if (loadA !== loadB) return loadB < loadA ? b : a;
+    return proxyHealth[b].latencyMs < proxyHealth[a].latencyMs ? b : a;
+  });
+}
+
+function assignProxies() {
+  if (proxies.length === 0) return;
+  for (let i = 0; i < accounts.length; i++) {
+    if (getAccountSettings(i).proxy) continue;
+    const current = proxyAssignments[i] || proxies[i % proxies.length];
+    proxyAssignments[i] = current;
+    if (isProxyUsable(current)) continue;
+    const spare = pickSpareProxy(current);
+    if (spare) {
+      proxyAssignments[i] = spare;
+      addLog(`Account ${i + 1}: Proxy ${getProxyHost(current)} is unhealthy, rotated to ${getProxyHost(spare)}`, "warn", { wallet: getAccountAddress(i).toLowerCase() });
+    } else {
+      addLog(`Account ${i + 1}: Proxy ${getProxyHost(current)} is unhealthy and no healthy spare is available`, "error", { wallet: getAccountAddress(i).toLowerCase() });
+    }
+  }
+}
+
+function recordProxyResult(proxyUrl, ok, error = null) {
+  const entry = proxyHealth[proxyUrl];
+  if (!entry) return;
+  if (ok) {
+    entry.failures = 0;
+    return;
+  }
+  entry.failures++;
+  entry.lastError = error?.shortMessage || error?.message || null;
+  if (entry.healthy !== false && entry.failures >= PROXY_MAX_FAILURES) {
+    entry.healthy = false;
+    addLog(`Proxy ${getProxyHost(proxyUrl)} marked unhealthy after ${entry.failures} consecutive network errors: ${entry.lastError}`, "warn");
+    assignProxies();
+    updateStatus();
+  }
+}
+
+async function checkProxy(proxyUrl) {
+  const entry = proxyHealth[proxyUrl] || (proxyHealth[proxyUrl] = { healthy: null, latencyMs: null, failures: 0, checkedAt: null, lastError: null });
+  const startedAt = Date.now();
+  try {
+    const request = createRpcConnection(getActiveRpcUrl(), createAgent(proxyUrl));
+    request.timeout = PROXY_HEALTH_TIMEOUT_MS;
+    request.body = JSON.stringify({ jsonrpc: "2.0", id: 1, method: "eth_blockNumber", params: [] });
+    request.setHeader("content-type", "application/json");
+    const response = await request.send();
+    response.assertOk();
+    if (response.bodyJson.error) throw new Error(response.bodyJson.error.message);
+    entry.healthy = true;
+    entry.latencyMs = Date.now() - startedAt;
+    entry.failures = 0;
+    entry.lastError = null;
+  } catch (error) {
+    entry.healthy = false;
+    entry.latencyMs = null;
+    entry.lastError = error.shortMessage || error.message;
+  }
+  entry.checkedAt = Date.now();
+}
+
+async function checkProxyHealth() {
+  const pool = getProxyPool();
+  if (pool.length === 0) return;
+  const previous = Object.fromEntries(pool.map(proxyUrl => [proxyUrl, proxyHealth[proxyUrl]?.healthy ?? null]));
+  for (let i = 0; i < pool.length; i += PROXY_CHECK_CONCURRENCY) {
+    await Promise.all(pool.slice(i, i + PROXY_CHECK_CONCURRENCY).map(checkProxy));
+  }
+  for (const proxyUrl of pool) {
+    const { healthy, lastError } = proxyHealth[proxyUrl];
+    if (!healthy && previous[proxyUrl] !== false) {
+      addLog(`Proxy ${getProxyHost(proxyUrl)} is unhealthy: ${lastError}`, "warn");
+    } else if (healthy && previous[proxyUrl] === false) {
+      addLog(`Proxy ${getProxyHost(proxyUrl)} is healthy again`, "info");
+    }
+  }
+  if (Object.values(previous).every(healthy => healthy === null)) {
+    const healthyCount = pool.filter(proxyUrl => proxyHealth[proxyUrl].healthy).length;
+    addLog(`Proxy check: ${healthyCount}/${pool.length} proxies reachable`, healthyCount === pool.length ? "success" : "warn");
+  }
+  assignProxies();
+  updateStatus();
+}
+
+async function initProxyHealthChecks() {
+  await checkProxyHealth();
+  if (proxyHealthInterval) clearInterval(proxyHealthInterval);
+  if (getProxyPool().length === 0) return;
+  proxyHealthInterval = setInterval(checkProxyHealth, dailyActivityConfig.proxyHealthCheckSeconds * 1000);
+  proxyHealthInterval.unref();
+}
+
+function normalizeNetworkProfile(name, profile) {
+  const chainId = Number(profile.chainId);
+  if (!Number.isInteger(chainId) || chainId <= 0) throw new Error("chainId must be a positive integer");
+  const rpcUrls = [].concat(profile.rpcUrls || []).filter(url => typeof url === "string" && url.trim());
+  if (rpcUrls.length === 0) throw new Error("rpcUrls must list at least one endpoint");
+  const contracts = {};
+  for (const key of NETWORK_CONTRACT_KEYS) {
+    const address = profile.contracts?.[key];
+    if (!address || !ethers.isAddress(address)) throw new Error(`contracts.${key} is missing or not a valid address`);
+    contracts[key] = ethers.getAddress(address);
+  }
+  const explorer = typeof profile.explorer === "string" ? profile.explorer.replace(/\/+$/, "") : "";
+  return { name, chainId, rpcUrls, contracts, explorer };
+}
+
+function getNetworkProfiles() {
+  return { ...BUILTIN_NETWORKS, ...dailyActivityConfig.networks };
+}
+
+function applyNetworkProfile(name) {
+  const profiles = getNetworkProfiles();
+  if (!profiles[name]) {
+    addLog(`Network profile "${name}" not found, using ${DEFAULT_NETWORK}`, "warn");
+    name = DEFAULT_NETWORK;
+  }
+  networkProfile = normalizeNetworkProfile(name, profiles[name]);
+  dailyActivityConfig.network = name;
+  directions = [
+    { chain: networkProfile.name, get rpc() { return getActiveRpcUrl(); }, chainId: networkProfile.chainId }
+  ];
+  networkStatus = "unchecked";
+}
+
+function getExplorerTxUrl(hash) {
+  return networkProfile.explorer ? `${networkProfile.explorer}/tx/${hash}` : getShortHash(hash);
+}
+
+async function validateNetworkProfile() {
+  const { name, chainId, contracts } = networkProfile;
+  let provider;
+  try {
+    provider = getProvider(directions[0].rpc, chainId, null);
+    const remoteChainId = Number(await provider.send("eth_chainId", []));
+    if (remoteChainId !== chainId) {
+      networkStatus = "invalid";
+      addLog(`Network profile ${name}: RPC reports chain id ${remoteChainId}, expected ${chainId}`, "error");
+      return false;
+    }
+    const missing = [];
+    for (const key of NETWORK_CONTRACT_KEYS) {
+      const code = await provider.getCode(contracts[key]);
+      if (code === "0x") missing.push(`${key} (${contracts[key]})`);
+    }
+    if (missing.length > 0) {
+      networkStatus = "invalid";
+      addLog(`Network profile ${name}: no contract code at ${missing.join(", ")}`, "error");
+      return false;
+    }
+    networkStatus = "valid";
+    addLog(`Network profile ${name} validated: chain id ${chainId}, ${NETWORK_CONTRACT_KEYS.length} contracts found`, "success");
+    return true;
+  } catch (error) {
+    networkStatus = "unchecked";
+    addLog(`Network profile ${name}: validation postponed, RPC unavailable: ${error.shortMessage || error.message}`, "warn");
+    return false;
+  } finally {
+    provider?.destroy();
+  }
+}
+
+function assertNetworkUsable() {
+  if (networkStatus === "invalid") {
+    throw new Error(`Network profile ${networkProfile.name} failed validation, check its chain id and contract addresses`);
+  }
+}
+
+function initRpcEndpoints() {
+  const previous = rpcEndpoints[activeRpcIndex]?.url;
+  rpcEndpoints = networkProfile.rpcUrls.map(url => ({
+    url,
+    healthy: true,
+    blockNumber: null,
+    lag: null,
+    latencyMs: null,
+    results: [],
+    lastError: null,
+    checkedAt: null
+  }));
+  activeRpcIndex = Math.max(0, rpcEndpoints.findIndex(endpoint => endpoint.url === previous));
+}
+
+function getActiveRpcUrl() {
+  return rpcEndpoints[activeRpcIndex]?.url || networkProfile.rpcUrls[0];
+}
+
+function getRpcHost(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return url;
+  }
+}
+
+function getRpcErrorRate(endpoint) {
+  if (endpoint.results.length === 0) return 0;
+  return endpoint.results.filter(ok => !ok).length / endpoint.results.length;
+}
+
+function recordRpcResult(url, ok, error = null) {
+  const endpoint = rpcEndpoints.find(e => e.url === url);
+  if (!endpoint) return;
+  endpoint.results.push(ok);
+  if (endpoint.results.length > RPC_RESULT_WINDOW) endpoint.results.shift();
+  if (!ok) endpoint.lastError = error?.shortMessage || error?.message || "unknown error";
+}
+
+function getRpcScore(endpoint) {
+  return endpoint.lag * 1000 + endpoint.latencyMs + getRpcErrorRate(endpoint) * 10000;
+}
+
+function selectBestRpc() {
+  const candidates = rpcEndpoints.filter(endpoint => endpoint.healthy && endpoint.latencyMs !== null);
+  if (candidates.length === 0) {
+    addLog("No healthy RPC endpoint available, keeping the current one.", "error");
+    return;
+  }
+  const best = candidates.reduce((a, b) => (getRpcScore(b) < getRpcScore(a) ? b : a));
+  const current = rpcEndpoints[activeRpcIndex];
+  if (current.healthy && current.latencyMs !== null && getRpcScore(best) >= getRpcScore(current) * 0.5) return;
+  activeRpcIndex = rpcEndpoints.indexOf(best);
+  addLog(`Switched active RPC to ${getRpcHost(best.url)} (block lag ${best.lag}, ${best.latencyMs}ms)`, "warn");
+}
+
+async function checkRpcHealth() {
+  await Promise.all(rpcEndpoints.map(async endpoint => {
+    const startedAt = Date.now();
+    try {
+      const request = new ethers.FetchRequest(endpoint.url);
+      request.timeout = RPC_HEALTH_TIMEOUT_MS;
+      request.body = JSON.stringify({ jsonrpc: "2.0", id: 1, method: "eth_blockNumber", params: [] });
+      request.setHeader("content-type", "application/json");
+      const response = await request.send();
+      response.assertOk();
+      if (response.bodyJson.error) throw new Error(response.bodyJson.error.message);
+      endpoint.blockNumber = Number(response.bodyJson.result);
+      endpoint.latencyMs = Date.now() - startedAt;
+      recordRpcResult(endpoint.url, true);
+    } catch (error) {
+      endpoint.blockNumber = null;
+      endpoint.latencyMs = null;
+      recordRpcResult(endpoint.url, false, error);
+    }
+    endpoint.checkedAt = Date.now();
+  }));
+
+  const bestBlock = Math.max(0, ...rpcEndpoints.map(endpoint => endpoint.blockNumber ?? 0));
+  for (const endpoint of rpcEndpoints) {
+    const wasHealthy = endpoint.healthy;
+    endpoint.lag = endpoint.blockNumber === null ? null : bestBlock - endpoint.blockNumber;
+    endpoint.healthy = endpoint.blockNumber !== null
+      && endpoint.lag <= dailyActivityConfig.rpcMaxBlockLag
+      && getRpcErrorRate(endpoint) < RPC_MAX_ERROR_RATE;
+    if (wasHealthy && !endpoint.healthy) {
+      const reason = endpoint.blockNumber === null ? endpoint.lastError : endpoint.lag > dailyActivityConfig.rpcMaxBlockLag ? `${endpoint.lag} blocks behind` : `error rate ${Math.round(getRpcErrorRate(endpoint) * 100)}%`;
+      addLog(`RPC ${getRpcHost(endpoint.url)} is unhealthy: ${reason}`, "warn");
+    } else if (!wasHealthy && endpoint.healthy) {
+      addLog(`RPC ${getRpcHost(endpoint.url)} is healthy again`, "info");
+    }
+  }
+  selectBestRpc();
+  updateStatus();
+  if (networkStatus === "unchecked" && rpcEndpoints.some(endpoint => endpoint.healthy)) {
+    await validateNetworkProfile();
+    updateStatus();
+  }
+}
+
+function failoverRpc(failedUrl) {
+  const failed = rpcEndpoints.find(endpoint => endpoint.url === failedUrl);
+  if (failed) failed.healthy = false;
+  if (rpcEndpoints[activeRpcIndex]?.url !== failedUrl) return getActiveRpcUrl();
+  const candidates = rpcEndpoints.filter(endpoint => endpoint.url !== failedUrl);
+  if (candidates.length === 0) return null;
+  const healthy = candidates.filter(endpoint => endpoint.healthy);
+  const next = healthy.length > 0
+    ? healthy.reduce((a, b) => (getRpcScore(b) < getRpcScore(a) ? b : a))
+    : candidates[(candidates.indexOf(failed) + 1) % candidates.length] || candidates[0];
+  activeRpcIndex = rpcEndpoints.indexOf(next);
+  addLog(`Failing over from ${getRpcHost(failedUrl)} to ${getRpcHost(next.url)}`, "warn");
+  updateStatus();
+  return next.url;
+}
+
+async function initRpcHealthChecks() {
+  initRpcEndpoints();
+  await checkRpcHealth();
+  if (rpcHealthInterval) clearInterval(rpcHealthInterval);
+  rpcHealthInterval = setInterval(checkRpcHealth, dailyActivityConfig.rpcHealthCheckSeconds * 1000);
+  rpcHealthInterval.unref();
+}
+
+function createRpcConnection(url, agent) {
+  const request = new ethers.FetchRequest(url);
+  if (agent) request.getUrlFunc = ethers.FetchRequest.createGetUrlFunc({ agent });
+  return request;
+}
+
+class FailoverJsonRpcProvider extends ethers.JsonRpcProvider {
+  constructor(chainId, proxyUrl) {
+    super(getActiveRpcUrl(), { chainId, name: networkProfile.name }, { staticNetwork: true });
+    this.proxyUrl = proxyUrl;
+    this.agent = createAgent(proxyUrl);
+  }
+
+  _getConnection(url = getActiveRpcUrl()) {
+    return createRpcConnection(url, this.agent);
+  }
+
+  async _send(payload) {
+    const tried = new Set();
+    let url = getActiveRpcUrl();
+    while (true) {
+      tried.add(url);
+      try {
+        const request = this._getConnection(url);
+        request.body = JSON.stringify(payload);
+        request.setHeader("content-type", "application/json");
+        const response = await request.send();
+        response.assertOk();
+        recordRpcResult(url, true);
+        if (this.proxyUrl) recordProxyResult(this.proxyUrl, true);
+        const result = [].concat(response.bodyJson);
+        if (tried.size > 1) {
+          // The failed endpoint may have relayed a raw transaction before
+          // dropping the connection; the retry then reports it as known.
+          for (const call of [].concat(payload)) {
+            const item = result.find(r => r.id === call.id);
+            if (call.method === "eth_sendRawTransaction" && item?.error && /already known/i.test(item.error.message)) {
+              delete item.error;
+              item.result = ethers.keccak256(call.params[0]);
+            }
+          }
+        }
+        return result;
+      } catch (error) {
+        if (this.proxyUrl) {
+          // Endpoints are health-checked directly, so a failure seen through
+          // a proxy counts against the proxy rather than the endpoint.
+          const next = rpcEndpoints.find(endpoint => endpoint.healthy && !tried.has(endpoint.url))?.url;
+          if (!next) {
+            recordProxyResult(this.proxyUrl, false, error);
+            throw error;
+          }
+          url = next;
+          continue;
+        }
+        recordRpcResult(url, false, error);
+        const next = failoverRpc(url);
+        if (!next || tried.has(next)) throw error;
+        addLog(`RPC request to ${getRpcHost(url)} failed (${error.shortMessage || error.message}), retrying on ${getRpcHost(next)}`, "warn");
+        url = next;
+      }
+    }
+  }
+}
+
 function getProvider(rpcUrl, chainId, proxyUrl, maxRetries = 3) {
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
     try {
-      const agent = createAgent(proxyUrl);
-      const fetchOptions = agent ? { agent } : {};
-      const provider = new ethers.JsonRpcProvider(rpcUrl, { chainId, name: "Holesky" }, { fetchOptions });
+      if (rpcEndpoints.some(endpoint => endpoint.url === rpcUrl)) {
+        return new FailoverJsonRpcProvider(chainId, proxyUrl);
+      }
+      const provider = new ethers.JsonRpcProvider(createRpcConnection(rpcUrl, createAgent(proxyUrl)), { chainId, name: networkProfile.name }, { staticNetwork: true });
       return provider;
     } catch (error) {
       addLog(`Attempt ${attempt}/${maxRetries} failed to initialize provider: ${error.message}`, "error");
@@ -270,41 +1205,50 @@ async function sleep(ms) {
   }
 }
 
-async function updateWalletData() {
-  const walletDataPromises = accounts.map(async (account, i) => {
-    try {
-      const proxyUrl = proxies[i % proxies.length] || null;
-      const holeskyProvider = getProvider(HOLESKY_RPC_URL, HOLESKY_CHAIN_ID, proxyUrl);
-      const wallet = new ethers.Wallet(account.privateKey, holeskyProvider);
-
-      const ethBalance = await holeskyProvider.getBalance(wallet.address);
-      const formattedETH = Number(ethers.formatEther(ethBalance)).toFixed(6);
-
-      const wethContract = new ethers.Contract(WETH_ADDRESS, ["function balanceOf(address) view returns (uint256)"], wallet);
-      const wethBalance = await wethContract.balanceOf(wallet.address);
-      const formattedWETH = Number(ethers.formatEther(wethBalance)).toFixed(6);
-
-      const exethContract = new ethers.Contract(EXETH_ADDRESS, ["function balanceOf(address) view returns (uint256)"], wallet);
-      const exethBalance = await exethContract.balanceOf(wallet.address);
-      const formattedEXETH = Number(ethers.formatEther(exethBalance)).toFixed(6);
-
-      const formattedEntry = `${i === selectedWalletIndex ? "→ " : "  "}${chalk.bold.magentaBright(getShortAddress(wallet.address))}        ${chalk.bold.cyanBright(formattedETH.padEnd(12))} ${chalk.bold.greenBright(formattedWETH.padEnd(12))} ${chalk.bold.yellowBright(formattedEXETH.padEnd(12))}`;
+async function fetchWalletBalances(account, i) {
+  const proxyUrl = getAccountProxy(i);
+  const holeskyProvider = getProvider(directions[0].rpc, directions[0].chainId, proxyUrl);
+  const wallet = new ethers.Wallet(account.privateKey, holeskyProvider);
+
+  const ethBalance = await holeskyProvider.getBalance(wallet.address);
+  const wethContract = new ethers.Contract(networkProfile.contracts.weth, ["function balanceOf(address) view returns (uint256)"], wallet);
+  const wethBalance = await wethContract.balanceOf(wallet.address);
+  const exethContract = new ethers.Contract(networkProfile.contracts.exeth, ["function balanceOf(address) view returns (uint256)"], wallet);
+  const exethBalance = await exethContract.balanceOf(wallet.address);
+
+  return {
+    address: wallet.address,
+    eth: Number(ethers.formatEther(ethBalance)).toFixed(6),
+    weth: Number(ethers.formatEther(wethBalance)).toFixed(6),
+    exeth: Number(ethers.formatEther(exethBalance)).toFixed(6)
+  };
+}
 
-      if (i === selectedWalletIndex) {
-        walletInfo.address = wallet.address;
-        walletInfo.activeAccount = `Account ${i + 1}`;
-        walletInfo.balanceETH = formattedETH;
-        walletInfo.balanceWETH = formattedWETH;
-        walletInfo.balanceEXETH = formattedEXETH;
-      }
-      return formattedEntry;
-    } catch (error) {
-      addLog(`Failed to fetch wallet data for account #${i + 1}: ${error.message}`, "error");
-      return `${i === selectedWalletIndex ? "→ " : "  "}N/A 0.000000 0.000000 0.000000`;
+async function fetchWalletEntry(i) {
+  try {
+    const { address, eth: formattedETH, weth: formattedWETH, exeth: formattedEXETH } = await fetchWalletBalances(accounts[i], i);
+
+    const { label } = getAccountSettings(i);
+    const name = label ? `${label.slice(0, 10)} ${getShortAddress(address)}` : getShortAddress(address);
+    const formattedEntry = `${i === selectedWalletIndex ? "→ " : "  "}${chalk.bold.magentaBright(name.padEnd(24))}  ${chalk.bold.cyanBright(formattedETH.padEnd(12))} ${chalk.bold.greenBright(formattedWETH.padEnd(12))} ${chalk.bold.yellowBright(formattedEXETH.padEnd(12))} ${formatProxyHealth(getAccountProxy(i))}`;
+
+    if (i === selectedWalletIndex) {
+      walletInfo.address = address;
+      walletInfo.activeAccount = `Account ${i + 1}`;
+      walletInfo.balanceETH = formattedETH;
+      walletInfo.balanceWETH = formattedWETH;
+      walletInfo.balanceEXETH = formattedEXETH;
     }
-  });
+    return formattedEntry;
+  } catch (error) {
+    addLog(`Failed to fetch wallet data for account #${i + 1}: ${error.message}`, "error");
+    return `${i === selectedWalletIndex ? "→ " : "  "}N/A 0.000000 0.000000 0.000000`;
+  }
+}
+
+async function updateWalletData() {
   try {
-    const walletData = await Promise.all(walletDataPromises);
+    const walletData = await Promise.all(accounts.map((_, i) => fetchWalletEntry(i)));
     addLog("Wallet data updated.", "success");
     return walletData;
   } catch (error) {
@@ -313,6 +1257,66 @@ async function updateWalletData() {
   }
 }
 
+function loadNonceState() {
+  try {
+    if (fs.existsSync(NONCE_STATE_FILE)) {
+      nonceState = JSON.parse(fs.readFileSync(NONCE_STATE_FILE, "utf8")) || {};
+    }
+  } catch (error) {
+    addLog(`Failed to load nonce state: ${error.message}`, "error");
+    nonceState = {};
+  }
+}
+
+function saveNonceState() {
+  try {
+    fs.writeFileSync(NONCE_STATE_FILE, JSON.stringify(nonceState, null, 2));
+  } catch (error) {
+    addLog(`Failed to save nonce state: ${error.message}`, "error");
+  }
+}
+
+function getNonceEntry(chainId, walletAddress) {
+  const nonceKey = `${chainId}_${walletAddress.toLowerCase()}`;
+  if (!nonceState[nonceKey]) {
+    nonceState[nonceKey] = { lastUsedNonce: null, pending: {} };
+  }
+  return nonceState[nonceKey];
+}
+
+async function withNonceLock(chainId, walletAddress, fn) {
+  const nonceKey = `${chainId}_${walletAddress.toLowerCase()}`;
+  const previous = nonceLocks[nonceKey] || Promise.resolve();
+  let release;
+  const current = new Promise(resolve => { release = resolve; });
+  const tail = previous.then(() => current);
+  nonceLocks[nonceKey] = tail;
+  await previous;
+  try {
+    return await fn();
+  } finally {
+    release();
+    if (nonceLocks[nonceKey] === tail) delete nonceLocks[nonceKey];
+  }
+}
+
+async function isAnyTransactionKnown(provider, hashes) {
+  for (const hash of hashes) {
+    if (await provider.getTransaction(hash)) return true;
+  }
+  return false;
+}
+
+// Requests go through the provider's short-lived cache, which would return
+// the count or balance from before a transaction that was just mined.
+async function getFreshTransactionCount(provider, address, blockTag) {
+  return BigInt(await provider.send("eth_getTransactionCount", [address, blockTag]));
+}
+
+async function getFreshBalance(provider, address) {
+  return BigInt(await provider.send("eth_getBalance", [address, "latest"]));
+}
+
 async function getNextNonce(provider, walletAddress, chainId) {
   if (shouldStop) {
     addLog("Nonce fetch stopped due to stop request.", "info");
@@ -322,12 +1326,24 @@ async function getNextNonce(provider, walletAddress, chainId) {
     addLog(`Invalid wallet address: ${walletAddress}`, "error");
     throw new Error("Invalid wallet address");
   }
-  const nonceKey = `${chainId}_${walletAddress}`;
   try {
-    const pendingNonce = BigInt(await provider.getTransactionCount(walletAddress, "pending"));
-    const lastUsedNonce = nonceTracker[nonceKey] || (pendingNonce - 1n);
-    const nextNonce = pendingNonce > lastUsedNonce + 1n ? pendingNonce : lastUsedNonce + 1n;
-    nonceTracker[nonceKey] = nextNonce;
+    const entry = getNonceEntry(chainId, walletAddress);
+    const pendingNonce = await getFreshTransactionCount(provider, walletAddress, "pending");
+    let nextNonce = pendingNonce;
+    if (entry.lastUsedNonce !== null && BigInt(entry.lastUsedNonce) >= pendingNonce) {
+      const lastUsedNonce = BigInt(entry.lastUsedNonce);
+      const lastSent = entry.pending[lastUsedNonce.toString()];
+      if (lastSent && await isAnyTransactionKnown(provider, lastSent.hashes)) {
+        nextNonce = lastUsedNonce + 1n;
+      } else {
+        addLog(`Nonce gap detected for ${getShortAddress(walletAddress)}: local nonce ${lastUsedNonce}, chain pending ${pendingNonce}. Resyncing.`, "warn");
+        for (const nonce of Object.keys(entry.pending)) {
+          if (BigInt(nonce) >= pendingNonce) delete entry.pending[nonce];
+        }
+      }
+    }
+    entry.lastUsedNonce = nextNonce.toString();
+    saveNonceState();
     addLog(`Debug: Fetched nonce ${nextNonce} for ${getShortAddress(walletAddress)} on chain ${chainId}`, "debug");
     return nextNonce;
   } catch (error) {
@@ -336,6 +1352,78 @@ async function getNextNonce(provider, walletAddress, chainId) {
   }
 }
 
+function recordSentNonce(chainId, walletAddress, nonce, hash, action) {
+  const entry = getNonceEntry(chainId, walletAddress);
+  const sent = entry.pending[nonce.toString()] || { action, hashes: [], sentAt: Date.now() };
+  sent.hashes.push(hash);
+  entry.pending[nonce.toString()] = sent;
+  saveNonceState();
+}
+
+function releaseNonce(chainId, walletAddress, nonce) {
+  const entry = getNonceEntry(chainId, walletAddress);
+  if (entry.lastUsedNonce === nonce.toString() && !entry.pending[nonce.toString()]) {
+    entry.lastUsedNonce = nonce > 0n ? (nonce - 1n).toString() : null;
+    saveNonceState();
+  }
+}
+
+function markNonceConfirmed(chainId, walletAddress, nonce) {
+  const entry = getNonceEntry(chainId, walletAddress);
+  for (const pendingNonce of Object.keys(entry.pending)) {
+    if (BigInt(pendingNonce) <= nonce) delete entry.pending[pendingNonce];
+  }
+  saveNonceState();
+}
+
+function resetNonce(chainId, walletAddress) {
+  const entry = getNonceEntry(chainId, walletAddress);
+  entry.lastUsedNonce = null;
+  saveNonceState();
+}
+
+async function reconcileNonces(provider, walletAddress, chainId) {
+  const entry = getNonceEntry(chainId, walletAddress);
+  const latestNonce = await getFreshTransactionCount(provider, walletAddress, "latest");
+  const pendingNonce = await getFreshTransactionCount(provider, walletAddress, "pending");
+  const shortAddress = getShortAddress(walletAddress);
+
+  for (const nonce of Object.keys(entry.pending)) {
+    if (BigInt(nonce) < latestNonce) {
+      delete entry.pending[nonce];
+    } else if (!(await isAnyTransactionKnown(provider, entry.pending[nonce].hashes))) {
+      addLog(`${shortAddress}: ${entry.pending[nonce].action} transaction with nonce ${nonce} was dropped from the mempool`, "warn");
+      delete entry.pending[nonce];
+    }
+  }
+
+  if (pendingNonce > latestNonce) {
+    const tracked = Object.keys(entry.pending).length;
+    addLog(`${shortAddress}: ${pendingNonce - latestNonce} pending transaction(s) at nonce ${latestNonce}..${pendingNonce - 1n}${tracked < pendingNonce - latestNonce ? `, ${Number(pendingNonce - latestNonce) - tracked} not sent by this bot` : ""}`, "warn");
+  }
+
+  if (entry.lastUsedNonce !== null && BigInt(entry.lastUsedNonce) >= pendingNonce) {
+    addLog(`${shortAddress}: Nonce gap detected, local nonce ${entry.lastUsedNonce} but chain pending is ${pendingNonce}. Resyncing.`, "warn");
+    entry.lastUsedNonce = pendingNonce > 0n ? (pendingNonce - 1n).toString() : null;
+  }
+  saveNonceState();
+}
+
+async function initNonceManager() {
+  loadNonceState();
+  const direction = directions[0];
+  for (let i = 0; i < accounts.length; i++) {
+    try {
+      const proxyUrl = getAccountProxy(i);
+      const provider = getProvider(direction.rpc, direction.chainId, proxyUrl);
+      const address = new ethers.Wallet(accounts[i].privateKey).address;
+      await reconcileNonces(provider, address, direction.chainId);
+    } catch (error) {
+      addLog(`Account ${i + 1}: Failed to reconcile nonces: ${error.message}`, "error");
+    }
+  }
+}
+
 async function getFeeParams(provider) {
   try {
     const feeData = await provider.getFeeData();
@@ -362,124 +1450,438 @@ async function getFeeParams(provider) {
   }
 }
 
-async function approveToken(wallet, tokenAddress, spender, amountWei, provider) {
-  const erc20Interface = new ethers.Interface([
-    'function approve(address spender, uint256 amount) returns (bool)',
-    'function allowance(address owner, address spender) view returns (uint256)'
-  ]);
+async function getGasLimit(provider, txParams, fallbackGasLimit, action) {
+  let estimatedGas;
+  try {
+    estimatedGas = await provider.estimateGas(txParams);
+  } catch (error) {
+    addLog(`Gas estimation failed for ${action}: ${error.shortMessage || error.message}. Using fixed gas limit ${fallbackGasLimit}`, "warn");
+    return { gasLimit: fallbackGasLimit, estimatedGas: null };
+  }
+  const ceiling = BigInt(Math.floor(dailyActivityConfig.gasLimitCeiling));
+  if (estimatedGas > ceiling) {
+    throw new Error(`Estimated gas for ${action} ${estimatedGas} exceeds ceiling ${ceiling}`);
+  }
+  const multiplier = BigInt(Math.round(dailyActivityConfig.gasLimitMultiplier * 100));
+  let gasLimit = (estimatedGas * multiplier) / 100n;
+  if (gasLimit > ceiling) gasLimit = ceiling;
+  addLog(`Estimated gas for ${action}: ${estimatedGas}, using gas limit ${gasLimit}`, "debug");
+  return { gasLimit, estimatedGas };
+}
 
-  const allowanceData = erc20Interface.encodeFunctionData('allowance', [wallet.address, spender]);
-  const allowanceCall = { to: tokenAddress, data: allowanceData };
-  const allowance = BigInt(await provider.call(allowanceCall));
+function logGasUsage(action, estimatedGas, gasLimit, receipt) {
+  addLog(`Gas used for ${action.toLowerCase()}: ${receipt.gasUsed} (estimated ${estimatedGas ?? "n/a"}, limit ${gasLimit})`, "info", { wallet: receipt.from, action, txHash: receipt.hash });
+}
 
-  if (allowance >= amountWei) {
-    addLog(`Token ${getShortAddress(tokenAddress)} already approved for ${ethers.formatEther(amountWei)}`, "info");
-    return;
+function bumpFeeParams(txRequest, feeParams) {
+  const bumpPercent = BigInt(Math.max(10, Math.ceil(dailyActivityConfig.feeBumpPercent)));
+  const bump = (value) => (value * (100n + bumpPercent) + 99n) / 100n;
+  const max = (a, b) => (a > b ? a : b);
+  if (txRequest.type === 2) {
+    return {
+      ...txRequest,
+      maxFeePerGas: max(bump(txRequest.maxFeePerGas), feeParams.maxFeePerGas || 0n),
+      maxPriorityFeePerGas: max(bump(txRequest.maxPriorityFeePerGas), feeParams.maxPriorityFeePerGas || 0n)
+    };
   }
-
-  const approveData = erc20Interface.encodeFunctionData('approve', [spender, amountWei]);
-  const feeParams = await getFeeParams(provider);
-  const txParams = {
-    to: tokenAddress,
-    data: approveData,
-    value: 0n,
-    ...feeParams
+  return {
+    ...txRequest,
+    gasPrice: max(bump(txRequest.gasPrice), feeParams.gasPrice || 0n)
   };
+}
 
-  const gasLimit = 100000n;
-  addLog(`Using fixed gas limit for approve: ${gasLimit}`, "debug");
-
-  const nonce = await getNextNonce(provider, wallet.address, HOLESKY_CHAIN_ID);
-  const tx = await wallet.sendTransaction({
-    ...txParams,
-    gasLimit,
-    nonce
-  });
-  addLog(`Approve Transaction sent: ${getShortHash(tx.hash)}`, "warn");
+async function waitForAnyReceipt(provider, hashes, timeoutMs, logContext) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    for (const hash of hashes) {
+      try {
+        const receipt = await provider.getTransactionReceipt(hash);
+        if (receipt) return receipt;
+      } catch (error) {
+        addLog(`Receipt lookup for ${getShortHash(hash)} failed, retrying: ${error.shortMessage || error.message}`, "warn", { ...logContext, txHash: hash });
+      }
+    }
+    await new Promise(resolve => setTimeout(resolve, Math.min(4000, Math.max(0, deadline - Date.now()))));
+  }
+  return null;
+}
 
-  const receipt = await tx.wait();
-  if (receipt.status === 0) {
-    throw new Error("Approve transaction reverted");
+async function waitForTransaction(wallet, tx, txRequest, action, chainId, maxReplacements, onSent = null) {
+  const provider = wallet.provider;
+  const timeoutMs = dailyActivityConfig.confirmationTimeoutSeconds * 1000;
+  const hashes = [tx.hash];
+  const logContext = { wallet: wallet.address, action };
+  let request = txRequest;
+  let replacements = 0;
+  while (true) {
+    const receipt = await waitForAnyReceipt(provider, hashes, timeoutMs, logContext);
+    if (receipt) {
+      if (receipt.hash !== tx.hash) {
+        addLog(`${action} mined via replacement ${getShortHash(receipt.hash)} (sent: ${hashes.map(getShortHash).join(", ")})`, "warn", { ...logContext, txHash: receipt.hash });
+      }
+      return receipt;
+    }
+    if (replacements >= maxReplacements) {
+      throw new Error(`Transaction confirmation timed out after ${replacements} replacement(s), nonce ${request.nonce} still pending: ${hashes.map(getShortHash).join(", ")}`);
+    }
+    replacements++;
+    try {
+      request = bumpFeeParams(request, await getFeeParams(provider));
+      const replacement = await wallet.sendTransaction(request);
+      hashes.push(replacement.hash);
+      recordSentNonce(chainId, wallet.address, request.nonce, replacement.hash, action);
+      onSent?.(replacement.hash);
+      addLog(`${action} not confirmed after ${dailyActivityConfig.confirmationTimeoutSeconds}s, replacement ${replacements}/${maxReplacements} sent with bumped fees: ${getShortHash(replacement.hash)}`, "warn", { ...logContext, txHash: replacement.hash });
+    } catch (error) {
+      const reason = error.error?.message || error.shortMessage || error.message;
+      if (error.code === "NONCE_EXPIRED" || /nonce too low|correct nonce|already known/i.test(reason)) {
+        addLog(`${action} replacement not needed, nonce ${request.nonce} already used. Waiting for receipt...`, "info", logContext);
+      } else {
+        addLog(`${action} replacement ${replacements} failed: ${reason}`, "warn", logContext);
+      }
+    }
   }
-  addLog(`Token approved successfully, Hash: ${getShortHash(tx.hash)}`, "success");
 }
 
-async function performStake(wallet, direction, amount, proxyUrl) {
-  const { rpc, chainId } = direction;
-  const provider = getProvider(rpc, chainId, proxyUrl);
-  wallet = wallet.connect(provider);
+function classifyTransactionError(error) {
+  const message = `${error.error?.message || ""} ${error.shortMessage || ""} ${error.message || ""}`.toLowerCase();
+  if (error.code === "INSUFFICIENT_FUNDS" || message.includes("insufficient")) return "insufficient-funds";
+  if (error.code === "TIMEOUT" || message.includes("timed out")) return "timeout";
+  if (error.code === "NONCE_EXPIRED" || /nonce too low|nonce has already been used|invalid nonce/.test(message)) return "nonce";
+  if (error.code === "REPLACEMENT_UNDERPRICED" || message.includes("underpriced")) return "underpriced";
+  if (error.code === "CALL_EXCEPTION" || message.includes("revert")) return "reverted";
+  if (error.code === "NETWORK_ERROR" || error.code === "SERVER_ERROR" || /econnrefused|econnreset|enotfound|etimedout|socket|network/.test(message)) return "network";
+  return "unknown";
+}
 
-  const amountWei = ethers.parseEther(amount.toString());
-  const address = wallet.address.toLowerCase();
+function formatFeeParams(feeParams) {
+  return feeParams.type === 2
+    ? `maxFee ${ethers.formatUnits(feeParams.maxFeePerGas, "gwei")} gwei, priority ${ethers.formatUnits(feeParams.maxPriorityFeePerGas, "gwei")} gwei`
+    : `gasPrice ${ethers.formatUnits(feeParams.gasPrice, "gwei")} gwei`;
+}
 
-  const stakeInterface = new ethers.Interface(['function deposit(address _token, uint256 _value)']);
-  const txData = stakeInterface.encodeFunctionData('deposit', [WETH_ADDRESS, amountWei]);
+async function simulateTransaction(provider, txParams, gasLimit, action, approvalSimulated, wrapSimulated = false) {
+  const simulatedSteps = [wrapSimulated && "wrap", approvalSimulated && "approval"].filter(Boolean);
+  const nonce = (await provider.getTransactionCount(txParams.from, "pending")) + simulatedSteps.length;
+  const summary = `[DRY RUN] ${action}: would send to ${getShortAddress(txParams.to)}, value ${ethers.formatEther(txParams.value)} ETH, nonce ${nonce}, gas limit ${gasLimit}, ${formatFeeParams(txParams)}`;
+  if (simulatedSteps.length > 0) {
+    addLog(`${summary}. Revert check skipped: the ${simulatedSteps.join(" and ")} it needs ${simulatedSteps.length > 1 ? "were" : "was"} only simulated.`, "warn", { wallet: txParams.from, action });
+    return null;
+  }
+  try {
+    await provider.call(txParams);
+  } catch (error) {
+    addLog(`${summary}. Would revert: ${error.shortMessage || error.message}`, "error", { wallet: txParams.from, action });
+    const simulationError = new Error(`Simulation reverted: ${error.shortMessage || error.message}`);
+    simulationError.kind = "reverted";
+    throw simulationError;
+  }
+  addLog(`${summary}. Would succeed.`, "success", { wallet: txParams.from, action });
+  return null;
+}
 
-  const wethContract = new ethers.Contract(WETH_ADDRESS, ["function balanceOf(address) view returns (uint256)"], provider);
-  const wethBalance = await wethContract.balanceOf(address);
-  if (wethBalance < amountWei) {
-    throw new Error(`Insufficient WETH balance: ${ethers.formatEther(wethBalance)} < ${amount}`);
+function recordTransaction(entry) {
+  try {
+    fs.appendFileSync(TX_HISTORY_FILE, `${JSON.stringify({ timestamp: new Date().toISOString(), ...entry })}\n`);
+  } catch (error) {
+    addLog(`Failed to record transaction history: ${error.message}`, "error");
   }
+}
 
-  await approveToken(wallet, WETH_ADDRESS, STAKE_CONTRACT_ADDRESS, amountWei, provider);
+function loadTransactionHistory() {
+  if (!fs.existsSync(TX_HISTORY_FILE)) return [];
+  const records = [];
+  const lines = fs.readFileSync(TX_HISTORY_FILE, "utf8").split("\n");
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      addLog(`Skipping malformed history entry on line ${index + 1} of ${TX_HISTORY_FILE}`, "warn");
+    }
+  });
+  return records;
+}
 
-  const feeParams = await getFeeParams(provider);
-  const txParams = {
-    to: STAKE_CONTRACT_ADDRESS,
-    data: txData,
-    value: 0n,
-    ...feeParams
-  };
+function parseHistoryDate(value, endOfDay) {
+  if (!value) return null;
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dateOnly ? `${value}T${endOfDay ? "23:59:59.999" : "00:00:00.000"}Z` : value);
+  if (isNaN(date.getTime())) throw new Error(`Invalid date: ${value} (use YYYY-MM-DD or an ISO timestamp)`);
+  return date;
+}
 
-  const gasLimit = 650000n;
-  addLog(`Using fixed gas limit: ${gasLimit} for stake on Holesky`, "debug");
+function filterTransactionHistory(records, { wallets = null, from = null, to = null }) {
+  const fromDate = parseHistoryDate(from, false);
+  const toDate = parseHistoryDate(to, true);
+  return records.filter(record => {
+    if (wallets && !wallets.includes(record.wallet)) return false;
+    const timestamp = new Date(record.timestamp);
+    if (fromDate && timestamp < fromDate) return false;
+    if (toDate && timestamp > toDate) return false;
+    return true;
+  });
+}
 
-  const gasFee = feeParams.gasPrice || feeParams.maxFeePerGas;
-  const estimatedGasCost = gasFee * gasLimit;
-  const ethBalance = await provider.getBalance(address);
-  if (ethBalance < estimatedGasCost) {
-    throw new Error(`Insufficient ETH for gas: ${ethers.formatEther(ethBalance)} < ${ethers.formatEther(estimatedGasCost)}`);
+function resolveHistoryWallets(selection) {
+  if (!selection || selection === "all") return null;
+  const parts = selection.split(",").map(p => p.trim()).filter(p => p);
+  const wallets = parts.filter(part => ethers.isAddress(part)).map(part => part.toLowerCase());
+  const indexSelection = parts.filter(part => !ethers.isAddress(part)).join(",");
+  if (indexSelection) {
+    for (const index of selectAccountIndexes(indexSelection)) {
+      wallets.push(new ethers.Wallet(accounts[index].privateKey).address.toLowerCase());
+    }
   }
+  return wallets;
+}
 
-  let tx;
-  try {
-    const nonce = await getNextNonce(provider, address, chainId);
-    tx = await wallet.sendTransaction({
-      ...txParams,
-      gasLimit,
-      nonce
-    });
-    addLog(`Stake Transaction sent: ${getShortHash(tx.hash)}`, "warn");
-  } catch (error) {
-    addLog(`Transaction failed: ${error.message}`, "error");
-    if (error.message.includes("nonce")) {
-      const nonceKey = `${chainId}_${address}`;
-      delete nonceTracker[nonceKey];
-      addLog(`Nonce error detected, resetting nonce for next attempt.`, "warn");
-    }
-    throw error;
+function formatHistory(records, format) {
+  if (format === "json") return JSON.stringify(records, null, 2);
+  const escape = value => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [TX_HISTORY_FIELDS.join(",")];
+  for (const record of records) {
+    lines.push(TX_HISTORY_FIELDS.map(field => escape(record[field])).join(","));
   }
+  return lines.join("\n");
+}
+
+function exportTransactionHistory({ wallets = null, from = null, to = null, format = "csv", output = null }) {
+  const records = filterTransactionHistory(loadTransactionHistory(), { wallets, from, to });
+  const content = formatHistory(records, format);
+  const filePath = output || `${HISTORY_EXPORT_DIR}/tx_history_${new Date().toISOString().replace(/[:.]/g, "-")}.${format}`;
+  if (!output && !fs.existsSync(HISTORY_EXPORT_DIR)) fs.mkdirSync(HISTORY_EXPORT_DIR, { recursive: true });
+  fs.writeFileSync(filePath, `${content}\n`);
+  return { filePath, count: records.length };
+}
+
+async function executeTransaction(wallet, direction, call) {
+  const { chainId } = direction;
+  const provider = wallet.provider;
+  const address = wallet.address.toLowerCase();
+  const { to, data, value = 0n, action, fallbackGasLimit = 650000n, successMessage, approvalSimulated = false, wrapSimulated = false, amount = null, token = null, feeParams: fixedFeeParams = null, gasLimit: fixedGasLimit = null, replaceable = true, onSent = null } = call;
+  const logContext = { wallet: address, action };
+  const historyEntry = { chainId, wallet: address, action, amount, token, hash: null, blockNumber: null, gasUsed: null, effectiveGasPrice: null };
+  let historyRecorded = false;
+  assertNetworkUsable();
 
-  let receipt;
-  const timeoutMs = 300000;
   try {
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error("Transaction confirmation timed out")), timeoutMs);
+    const feeParams = fixedFeeParams || await getFeeParams(provider);
+    const txParams = {
+      to,
+      data,
+      value,
+      ...feeParams
+    };
+
+    const { gasLimit, estimatedGas } = fixedGasLimit
+      ? { gasLimit: fixedGasLimit, estimatedGas: null }
+      : approvalSimulated || wrapSimulated
+      ? { gasLimit: fallbackGasLimit, estimatedGas: null }
+      : await getGasLimit(provider, { ...txParams, from: address }, fallbackGasLimit, action.toLowerCase());
+
+    const gasFee = feeParams.gasPrice || feeParams.maxFeePerGas;
+    const estimatedGasCost = gasFee * gasLimit;
+    const ethBalance = await provider.getBalance(address);
+    if (ethBalance < value + estimatedGasCost) {
+      throw new Error(value > 0n
+        ? `Insufficient ETH for amount + gas: ${ethers.formatEther(ethBalance)} < ${ethers.formatEther(value + estimatedGasCost)}`
+        : `Insufficient ETH for gas: ${ethers.formatEther(ethBalance)} < ${ethers.formatEther(estimatedGasCost)}`);
+    }
+
+    if (dailyActivityConfig.dryRun) {
+      return simulateTransaction(provider, { ...txParams, from: address }, gasLimit, action, approvalSimulated, wrapSimulated);
+    }
+
+    let txRequest;
+    const tx = await withNonceLock(chainId, address, async () => {
+      const nonce = await getNextNonce(provider, address, chainId);
+      txRequest = {
+        ...txParams,
+        gasLimit,
+        nonce
+      };
+      try {
+        const sent = await wallet.sendTransaction(txRequest);
+        recordSentNonce(chainId, address, nonce, sent.hash, action);
+        onSent?.(sent.hash);
+        return sent;
+      } catch (error) {
+        releaseNonce(chainId, address, nonce);
+        throw error;
+      }
+    });
+    addLog(`${action} Transaction sent: ${getExplorerTxUrl(tx.hash)}`, "warn", { ...logContext, txHash: tx.hash });
+    historyEntry.hash = tx.hash;
+
+    const receipt = await waitForTransaction(wallet, tx, txRequest, action, chainId, replaceable ? dailyActivityConfig.maxReplacements : 0, onSent);
+    markNonceConfirmed(chainId, address, BigInt(txRequest.nonce));
+    Object.assign(historyEntry, {
+      hash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      effectiveGasPrice: receipt.gasPrice.toString()
     });
-    receipt = await Promise.race([tx.wait(), timeoutPromise]);
     if (receipt.status === 0) {
+      recordTransaction({ ...historyEntry, status: "reverted", error: "Transaction reverted" });
+      historyRecorded = true;
       throw new Error("Transaction reverted");
     }
-    addLog(`Stake ${amount} WETH for eXETH Successfully, Hash: ${getShortHash(tx.hash)}`, "success");
+    recordTransaction({ ...historyEntry, status: "success", error: null });
+    addLog(`${successMessage || `${action} Successfully`}, Hash: ${getShortHash(receipt.hash)}`, "success", { ...logContext, txHash: receipt.hash });
+    logGasUsage(action, estimatedGas, gasLimit, receipt);
+    return receipt;
   } catch (error) {
-    addLog(`Transaction failed: ${error.message}`, "error");
+    error.kind = error.kind || classifyTransactionError(error);
+    addLog(`${action} transaction failed [${error.kind}]: ${error.message}`, "error", logContext);
+    if (!dailyActivityConfig.dryRun && !historyRecorded) {
+      recordTransaction({ ...historyEntry, status: "failed", error: error.message });
+    }
+    if (error.kind === "nonce") {
+      resetNonce(chainId, address);
+      addLog(`Nonce error detected, resetting nonce for next attempt.`, "warn", logContext);
+    }
     throw error;
-  } finally {
+  }
+}
+
+async function approveToken(wallet, direction, tokenAddress, spender, amountWei) {
+  const erc20Interface = new ethers.Interface([
+    'function approve(address spender, uint256 amount) returns (bool)',
+    'function allowance(address owner, address spender) view returns (uint256)'
+  ]);
+
+  const allowanceData = erc20Interface.encodeFunctionData('allowance', [wallet.address, spender]);
+  const allowanceCall = { to: tokenAddress, data: allowanceData };
+  const allowance = BigInt(await wallet.provider.call(allowanceCall));
+
+  if (allowance >= amountWei) {
+    addLog(`Token ${getShortAddress(tokenAddress)} already approved for ${ethers.formatEther(amountWei)}`, "info");
+    return false;
+  }
+
+  await executeTransaction(wallet, direction, {
+    to: tokenAddress,
+    data: erc20Interface.encodeFunctionData('approve', [spender, amountWei]),
+    action: "Approve",
+    amount: ethers.formatEther(amountWei),
+    token: getTokenSymbol(tokenAddress),
+    fallbackGasLimit: 100000n,
+    successMessage: "Token approved successfully"
+  });
+  return true;
+}
+
+function formatAmount(value) {
+  const decimals = dailyActivityConfig.amountDecimals;
+  const factor = 10 ** decimals;
+  return (Math.floor(value * factor + 1e-9) / factor).toFixed(decimals);
+}
+
+function formatAmountStrategy(action) {
+  const { strategy, percentRange, reserve } = dailyActivityConfig.amountStrategies[action];
+  const token = action === "stake" ? "WETH" : "eXETH";
+  if (strategy === "percent") return `${percentRange.min}-${percentRange.max}% of balance`;
+  if (strategy === "allButReserve") return `all but ${reserve} ${token}`;
+  const range = action === "stake" ? dailyActivityConfig.wethStakeRange : dailyActivityConfig.exethUnstakeRange;
+  return `${range.min}-${range.max} ${token}`;
+}
+
+async function getActionBalance(action, accountIndex, proxyUrl) {
+  const direction = directions[0];
+  const provider = getProvider(direction.rpc, direction.chainId, proxyUrl);
+  const address = getAccountAddress(accountIndex);
+  const tokenAddress = action === "stake" ? networkProfile.contracts.weth : networkProfile.contracts.exeth;
+  const balance = await new ethers.Contract(tokenAddress, ["function balanceOf(address) view returns (uint256)"], provider).balanceOf(address);
+  if (action !== "stake" || !dailyActivityConfig.autoWrap) return balance;
+  const ethBalance = await provider.getBalance(address);
+  const reserveWei = ethers.parseEther(dailyActivityConfig.gasReserveEth.toString());
+  return ethBalance > reserveWei ? balance + ethBalance - reserveWei : balance;
+}
+
+async function pickActionAmount(action, accountIndex, proxyUrl) {
+  const { strategy, percentRange, reserve } = dailyActivityConfig.amountStrategies[action];
+  if (strategy === "fixed") {
+    const accountConfig = getAccountConfig(accountIndex);
+    const range = action === "stake" ? accountConfig.wethStakeRange : accountConfig.exethUnstakeRange;
+    return formatAmount(Math.random() * (range.max - range.min) + range.min);
+  }
+  const balance = await getActionBalance(action, accountIndex, proxyUrl);
+  let amountWei;
+  if (strategy === "percent") {
+    const bps = BigInt(Math.floor((Math.random() * (percentRange.max - percentRange.min) + percentRange.min) * 100));
+    amountWei = balance * bps / 10000n;
+  } else {
+    const reserveWei = ethers.parseEther(reserve.toString());
+    amountWei = balance > reserveWei ? balance - reserveWei : 0n;
+  }
+  amountWei -= amountWei % 10n ** BigInt(18 - dailyActivityConfig.amountDecimals);
+  if (amountWei <= 0n) {
+    const error = new Error(`Nothing to ${action} with ${formatAmountStrategy(action)}: ${action === "stake" ? "stakeable" : "eXETH"} balance is ${ethers.formatEther(balance)}`);
+    error.kind = "skipped";
+    throw error;
+  }
+  return ethers.formatEther(amountWei);
+}
+
+async function planStake(provider, address, amountWei) {
+  const wethContract = new ethers.Contract(networkProfile.contracts.weth, ["function balanceOf(address) view returns (uint256)"], provider);
+  const [wethBalance, ethBalance] = await Promise.all([wethContract.balanceOf(address), provider.getBalance(address)]);
+  const reserveWei = ethers.parseEther(dailyActivityConfig.gasReserveEth.toString());
+  const wrappableWei = dailyActivityConfig.autoWrap && ethBalance > reserveWei ? ethBalance - reserveWei : 0n;
+  const availableWei = wethBalance + wrappableWei;
+  const stakeWei = amountWei <= availableWei ? amountWei : availableWei - (availableWei % 10n ** BigInt(18 - dailyActivityConfig.amountDecimals));
+  return { stakeWei, wrapWei: stakeWei > wethBalance ? stakeWei - wethBalance : 0n, wethBalance, ethBalance };
+}
+
+async function performStake(wallet, direction, amount, proxyUrl, onSent = null) {
+  const { rpc, chainId } = direction;
+  const provider = getProvider(rpc, chainId, proxyUrl);
+  wallet = wallet.connect(provider);
+
+  const requestedWei = ethers.parseEther(amount.toString());
+  const address = wallet.address.toLowerCase();
+  const logContext = { wallet: address, action: "Stake" };
 
+  const plan = await planStake(provider, address, requestedWei);
+  if (plan.stakeWei === 0n) {
+    const error = new Error(`Nothing to stake: ${ethers.formatEther(plan.wethBalance)} WETH, ${ethers.formatEther(plan.ethBalance)} ETH${dailyActivityConfig.autoWrap ? ` with a ${dailyActivityConfig.gasReserveEth} ETH gas reserve` : ", auto wrap disabled"}`);
+    error.kind = "skipped";
+    throw error;
+  }
+  if (plan.stakeWei < requestedWei) {
+    amount = ethers.formatEther(plan.stakeWei);
+    addLog(`Stake reduced to ${amount} WETH, the most this wallet can cover${dailyActivityConfig.autoWrap ? ` while keeping ${dailyActivityConfig.gasReserveEth} ETH for gas` : ""}`, "warn", logContext);
   }
+  if (plan.wrapWei > 0n) {
+    addLog(`Wrapping ${ethers.formatEther(plan.wrapWei)} ETH to cover the WETH shortfall for staking`, "info", logContext);
+    await performWrap(wallet, direction, ethers.formatEther(plan.wrapWei), proxyUrl);
+  }
+  const amountWei = plan.stakeWei;
+
+  const stakeInterface = new ethers.Interface(['function deposit(address _token, uint256 _value)']);
+  const txData = stakeInterface.encodeFunctionData('deposit', [networkProfile.contracts.weth, amountWei]);
+
+  const approvalSent = await approveToken(wallet, direction, networkProfile.contracts.weth, networkProfile.contracts.stake, amountWei);
+
+  return executeTransaction(wallet, direction, {
+    to: networkProfile.contracts.stake,
+    data: txData,
+    action: "Stake",
+    amount: amount.toString(),
+    token: "WETH",
+    fallbackGasLimit: 650000n,
+    approvalSimulated: approvalSent && dailyActivityConfig.dryRun,
+    wrapSimulated: plan.wrapWei > 0n && dailyActivityConfig.dryRun,
+    onSent,
+    successMessage: `Stake ${amount} WETH for eXETH Successfully`
+  });
 }
 
-async function performUnstake(wallet, direction, amount, proxyUrl) {
+async function performUnstake(wallet, direction, amount, proxyUrl, onSent = null) {
   const { rpc, chainId } = direction;
   const provider = getProvider(rpc, chainId, proxyUrl);
   wallet = wallet.connect(provider);
@@ -488,70 +1890,44 @@ async function performUnstake(wallet, direction, amount, proxyUrl) {
   const address = wallet.address.toLowerCase();
 
   const unstakeInterface = new ethers.Interface(['function withdraw(uint256 _value, address _addr)']);
-  const txData = unstakeInterface.encodeFunctionData('withdraw', [amountWei, WETH_ADDRESS]);
+  const txData = unstakeInterface.encodeFunctionData('withdraw', [amountWei, networkProfile.contracts.weth]);
 
-  const exethContract = new ethers.Contract(EXETH_ADDRESS, ["function balanceOf(address) view returns (uint256)"], provider);
+  const exethContract = new ethers.Contract(networkProfile.contracts.exeth, ["function balanceOf(address) view returns (uint256)"], provider);
   const exethBalance = await exethContract.balanceOf(address);
   if (exethBalance < amountWei) {
     throw new Error(`Insufficient eXETH balance: ${ethers.formatEther(exethBalance)} < ${amount}`);
   }
 
-  await approveToken(wallet, EXETH_ADDRESS, UNSTAKE_CONTRACT_ADDRESS, amountWei, provider);
+  const approvalSent = await approveToken(wallet, direction, networkProfile.contracts.exeth, networkProfile.contracts.unstake, amountWei);
 
-  const feeParams = await getFeeParams(provider);
-  const txParams = {
-    to: UNSTAKE_CONTRACT_ADDRESS,
+  return executeTransaction(wallet, direction, {
+    to: networkProfile.contracts.unstake,
     data: txData,
-    value: 0n,
-    ...feeParams
-  };
-
-  const gasLimit = 650000n;
-  addLog(`Using fixed gas limit: ${gasLimit} for unstake on Holesky`, "debug");
-
-  const gasFee = feeParams.gasPrice || feeParams.maxFeePerGas;
-  const estimatedGasCost = gasFee * gasLimit;
-  const ethBalance = await provider.getBalance(address);
-  if (ethBalance < estimatedGasCost) {
-    throw new Error(`Insufficient ETH for gas: ${ethers.formatEther(ethBalance)} < ${ethers.formatEther(estimatedGasCost)}`);
-  }
-
-  let tx;
-  try {
-    const nonce = await getNextNonce(provider, address, chainId);
-    tx = await wallet.sendTransaction({
-      ...txParams,
-      gasLimit,
-      nonce
-    });
-    addLog(`Unstake Transaction sent: ${getShortHash(tx.hash)}`, "warn");
-  } catch (error) {
-    addLog(`Transaction failed: ${error.message}`, "error");
-    if (error.message.includes("nonce")) {
-      const nonceKey = `${chainId}_${address}`;
-      delete nonceTracker[nonceKey];
-      addLog(`Nonce error detected, resetting nonce for next attempt.`, "warn");
-    }
-    throw error;
-  }
+    action: "Unstake",
+    amount: amount.toString(),
+    token: "eXETH",
+    fallbackGasLimit: 650000n,
+    approvalSimulated: approvalSent && dailyActivityConfig.dryRun,
+    onSent,
+    successMessage: `Unstake ${amount} eXETH for WETH Successfully`
+  });
+}
 
-  let receipt;
-  const timeoutMs = 300000;
-  try {
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error("Transaction confirmation timed out")), timeoutMs);
+async function getWithdrawRequests(contract, address) {
+  const count = await contract.getOutstandingWithdrawRequests(address);
+  const requests = [];
+  for (let index = 0n; index < count; index++) {
+    const request = await contract.withdrawRequests(address, index);
+    requests.push({
+      index,
+      collateralToken: request.collateralToken,
+      withdrawRequestID: request.withdrawRequestID,
+      amountToRedeem: request.amountToRedeem,
+      exETHLocked: request.exETHLocked,
+      createdAt: request.createdAt
     });
-    receipt = await Promise.race([tx.wait(), timeoutPromise]);
-    if (receipt.status === 0) {
-      throw new Error("Transaction reverted");
-    }
-    addLog(`Unstake ${amount} eXETH for WETH Successfully, Hash: ${getShortHash(tx.hash)}`, "success");
-  } catch (error) {
-    addLog(`Transaction failed: ${error.message}`, "error");
-    throw error;
-  } finally {
-
   }
+  return requests;
 }
 
 async function performClaim(wallet, direction, proxyUrl) {
@@ -561,15 +1937,15 @@ async function performClaim(wallet, direction, proxyUrl) {
 
   const address = wallet.address.toLowerCase();
 
-  const contract = new ethers.Contract(CLAIM_CONTRACT_ADDRESS, CLAIM_ABI, wallet);
-
-  const count = await contract.getOutstandingWithdrawRequests(address);
-
-  if (count == 0n) throw new Error("No outstanding withdraw requests");
+  const contract = new ethers.Contract(networkProfile.contracts.claim, CLAIM_ABI, wallet);
 
-  const request = await contract.withdrawRequests(address, 0n);
+  const requests = await getWithdrawRequests(contract, address);
 
-  const createdAt = request.createdAt;
+  if (requests.length === 0) {
+    const error = new Error("No outstanding withdraw requests");
+    error.kind = "skipped";
+    throw error;
+  }
 
   const coolDown = await contract.coolDownPeriod();
 
@@ -577,62 +1953,50 @@ async function performClaim(wallet, direction, proxyUrl) {
 
   const now = BigInt(latestBlock.timestamp);
 
-  if (createdAt + coolDown > now) throw new Error("Not ready to claim yet");
+  const matured = [];
+  for (const request of requests) {
+    const readyAt = request.createdAt + coolDown;
+    if (readyAt <= now) {
+      matured.push(request);
+      addLog(`Withdraw request #${request.index} (ID ${request.withdrawRequestID}): ${ethers.formatEther(request.amountToRedeem)} ready to claim`, "info", { wallet: address, action: "Claim" });
+    } else {
+      addLog(`Withdraw request #${request.index} (ID ${request.withdrawRequestID}): not ready, ${readyAt - now}s remaining`, "info", { wallet: address, action: "Claim" });
+    }
+  }
 
-  const feeParams = await getFeeParams(provider);
-  const txParams = {
-    to: CLAIM_CONTRACT_ADDRESS,
-    data: contract.interface.encodeFunctionData('claim', [0n, address]),
-    value: 0n,
-    ...feeParams
-  };
+  if (matured.length === 0) throw new Error(`Not ready to claim yet (${requests.length} pending)`);
 
-  const gasLimit = 650000n;
-  addLog(`Using fixed gas limit: ${gasLimit} for claim on Holesky`, "debug");
+  // Claim from the highest index down: the queue removes claimed entries by
+  // moving the last one into the freed slot, so lower indexes stay valid.
+  matured.sort((a, b) => (a.index < b.index ? 1 : a.index > b.index ? -1 : 0));
 
-  const gasFee = feeParams.gasPrice || feeParams.maxFeePerGas;
-  const estimatedGasCost = gasFee * gasLimit;
-  const ethBalance = await provider.getBalance(address);
-  if (ethBalance < estimatedGasCost) {
-    throw new Error(`Insufficient ETH for gas: ${ethers.formatEther(ethBalance)} < ${ethers.formatEther(estimatedGasCost)}`);
-  }
+  let claimed = 0;
+  for (const request of matured) {
+    if (shouldStop) break;
+    const label = `request #${request.index} (ID ${request.withdrawRequestID})`;
+    try {
+      const current = await contract.withdrawRequests(address, request.index);
+      if (current.withdrawRequestID !== request.withdrawRequestID) {
+        throw new Error("Withdraw request index changed, skipping");
+      }
 
-  let tx;
-  try {
-    const nonce = await getNextNonce(provider, address, chainId);
-    tx = await wallet.sendTransaction({
-      ...txParams,
-      gasLimit,
-      nonce
-    });
-    addLog(`Claim Transaction sent: ${getShortHash(tx.hash)}`, "warn");
-  } catch (error) {
-    addLog(`Transaction failed: ${error.message}`, "error");
-    if (error.message.includes("nonce")) {
-      const nonceKey = `${chainId}_${address}`;
-      delete nonceTracker[nonceKey];
-      addLog(`Nonce error detected, resetting nonce for next attempt.`, "warn");
+      await executeTransaction(wallet, direction, {
+        to: networkProfile.contracts.claim,
+        data: contract.interface.encodeFunctionData('claim', [request.index, address]),
+        action: "Claim",
+        amount: ethers.formatEther(request.amountToRedeem),
+        token: getTokenSymbol(request.collateralToken),
+        fallbackGasLimit: 650000n,
+        successMessage: `Claim ${label} Successfully`
+      });
+      claimed++;
+    } catch (error) {
+      addLog(`Claim ${label} failed: ${error.message}`, "error", { wallet: address, action: "Claim" });
     }
-    throw error;
   }
 
-  let receipt;
-  const timeoutMs = 300000;
-  try {
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error("Transaction confirmation timed out")), timeoutMs);
-    });
-    receipt = await Promise.race([tx.wait(), timeoutPromise]);
-    if (receipt.status === 0) {
-      throw new Error("Transaction reverted");
-    }
-    addLog(`Claim Successfully, Hash: ${getShortHash(tx.hash)}`, "success");
-  } catch (error) {
-    addLog(`Transaction failed: ${error.message}`, "error");
-    throw error;
-  } finally {
-
-  }
+  addLog(`Claimed ${claimed}/${matured.length} matured withdraw requests (${requests.length - matured.length} still in cooldown)`, claimed > 0 ? "success" : "error", { wallet: address, action: "Claim" });
+  if (claimed === 0) throw new Error("No withdraw request could be claimed");
 }
 
 async function performWrap(wallet, direction, amount, proxyUrl) {
@@ -650,240 +2014,1035 @@ async function performWrap(wallet, direction, amount, proxyUrl) {
   if (ethBalance < amountWei) {
     throw new Error(`Insufficient ETH balance: ${ethers.formatEther(ethBalance)} < ${amount}`);
   }
+  const reserveWei = ethers.parseEther(dailyActivityConfig.gasReserveEth.toString());
+  if (ethBalance - amountWei < reserveWei) {
+    throw new Error(`Wrapping ${amount} ETH would leave ${ethers.formatEther(ethBalance - amountWei)} ETH, below the ${dailyActivityConfig.gasReserveEth} ETH gas reserve`);
+  }
 
-  const feeParams = await getFeeParams(provider);
-  const txParams = {
-    to: WETH_ADDRESS,
+  return executeTransaction(wallet, direction, {
+    to: networkProfile.contracts.weth,
     data: txData,
     value: amountWei,
-    ...feeParams
-  };
+    action: "Wrap",
+    amount: amount.toString(),
+    token: "ETH",
+    fallbackGasLimit: 100000n,
+    successMessage: `Wrap ${amount} ETH to WETH Successfully`
+  });
+}
+
+async function performUnwrap(wallet, direction, amount, proxyUrl) {
+  const { rpc, chainId } = direction;
+  const provider = getProvider(rpc, chainId, proxyUrl);
+  wallet = wallet.connect(provider);
 
-  const gasLimit = 100000n;
-  addLog(`Using fixed gas limit: ${gasLimit} for wrap on Holesky`, "debug");
+  const amountWei = ethers.parseEther(amount.toString());
+  const address = wallet.address.toLowerCase();
+
+  const wethInterface = new ethers.Interface(['function withdraw(uint256 wad)']);
+  const txData = wethInterface.encodeFunctionData('withdraw', [amountWei]);
 
-  const gasFee = feeParams.gasPrice || feeParams.maxFeePerGas;
-  const estimatedGasCost = gasFee * gasLimit;
-  if (ethBalance < amountWei + estimatedGasCost) {
-    throw new Error(`Insufficient ETH for amount + gas: ${ethers.formatEther(ethBalance)} < ${ethers.formatEther(amountWei + estimatedGasCost)}`);
+  const wethContract = new ethers.Contract(networkProfile.contracts.weth, ["function balanceOf(address) view returns (uint256)"], provider);
+  const wethBalance = await wethContract.balanceOf(address);
+  if (wethBalance < amountWei) {
+    throw new Error(`Insufficient WETH balance: ${ethers.formatEther(wethBalance)} < ${amount}`);
   }
 
-  let tx;
+  return executeTransaction(wallet, direction, {
+    to: networkProfile.contracts.weth,
+    data: txData,
+    action: "Unwrap",
+    amount: amount.toString(),
+    token: "WETH",
+    fallbackGasLimit: 100000n,
+    successMessage: `Unwrap ${amount} WETH to ETH Successfully`
+  });
+}
+
+function unlockFunderKeystore(password) {
+  if (!fs.existsSync(FUNDER_KEYSTORE_FILE)) return;
   try {
-    const nonce = await getNextNonce(provider, address, chainId);
-    tx = await wallet.sendTransaction({
-      ...txParams,
-      gasLimit,
-      nonce
-    });
-    addLog(`Wrap Transaction sent: ${getShortHash(tx.hash)}`, "warn");
+    funderKey = ethers.Wallet.fromEncryptedJsonSync(fs.readFileSync(FUNDER_KEYSTORE_FILE, "utf8"), password).privateKey;
+    addLog(`Funder key unlocked from ${FUNDER_KEYSTORE_FILE}`, "success");
+  } catch (error) {
+    addLog(`Failed to decrypt ${FUNDER_KEYSTORE_FILE}: ${error.shortMessage || error.message}`, "error");
+  }
+}
+
+function loadFunderWallet() {
+  let source = "FUNDER_PRIVATE_KEY";
+  let key = process.env.FUNDER_PRIVATE_KEY?.trim();
+  if (!key && fs.existsSync(FUNDER_KEYSTORE_FILE)) {
+    if (!funderKey && process.env.VAULT_PASSWORD !== undefined) unlockFunderKeystore(process.env.VAULT_PASSWORD);
+    if (!funderKey) throw new Error(`${FUNDER_KEYSTORE_FILE} is locked. Unlock it with the vault password or set VAULT_PASSWORD`);
+    return new ethers.Wallet(funderKey);
+  }
+  if (!key && fs.existsSync(FUNDER_KEY_FILE)) {
+    source = FUNDER_KEY_FILE;
+    key = fs.readFileSync(FUNDER_KEY_FILE, "utf8").split("\n").map(line => line.trim()).find(line => line);
+    addLog(`Funder key is stored in plaintext in ${FUNDER_KEY_FILE}. Run "node index.js migrate-keys" to encrypt it into ${FUNDER_KEYSTORE_FILE}.`, "warn");
+  }
+  if (!key) {
+    throw new Error(`No funder key found. Set FUNDER_PRIVATE_KEY, or put the key in ${FUNDER_KEYSTORE_FILE} (V3 keystore) or ${FUNDER_KEY_FILE}`);
+  }
+  try {
+    return new ethers.Wallet(key.startsWith("0x") ? key : `0x${key}`);
   } catch (error) {
-    addLog(`Transaction failed: ${error.message}`, "error");
-    if (error.message.includes("nonce")) {
-      const nonceKey = `${chainId}_${address}`;
-      delete nonceTracker[nonceKey];
-      addLog(`Nonce error detected, resetting nonce for next attempt.`, "warn");
+    throw new Error(`Invalid funder key in ${source}`);
+  }
+}
+
+async function planGasFunding(provider, accountIndexes, funderAddress) {
+  const threshold = ethers.parseEther(dailyActivityConfig.gasFunding.thresholdEth.toString());
+  const target = ethers.parseEther(dailyActivityConfig.gasFunding.targetEth.toString());
+  const wallets = accountIndexes
+    .map(accountIndex => ({ accountIndex, address: getAccountAddress(accountIndex) }))
+    .filter(({ address }) => address && address.toLowerCase() !== funderAddress.toLowerCase());
+  const balances = await Promise.all(wallets.map(({ address }) => provider.getBalance(address)));
+  return wallets
+    .map((wallet, n) => ({ ...wallet, balance: balances[n], amount: target - balances[n] }))
+    .filter(({ balance }) => balance < threshold)
+    .sort((a, b) => (a.balance < b.balance ? -1 : a.balance > b.balance ? 1 : 0));
+}
+
+async function prepareGasFunding(accountIndexes) {
+  assertNetworkUsable();
+  const direction = directions[0];
+  const provider = getProvider(direction.rpc, direction.chainId, null);
+  const funder = loadFunderWallet().connect(provider);
+  const { thresholdEth } = dailyActivityConfig.gasFunding;
+  addLog(`Gas funding: checking ${accountIndexes.length} wallet(s) for less than ${thresholdEth} ETH, funder ${getShortAddress(funder.address)}`, "info");
+  const plan = await planGasFunding(provider, accountIndexes, funder.address);
+  if (plan.length === 0) {
+    addLog("Gas funding: every wallet is above the threshold.", "success");
+    return { funder, plan, transfers: [], results: [] };
+  }
+
+  const feeParams = await getFeeParams(provider);
+  const gasLimit = (21000n * BigInt(Math.round(dailyActivityConfig.gasLimitMultiplier * 100))) / 100n;
+  const transferGasCost = (feeParams.gasPrice || feeParams.maxFeePerGas) * gasLimit;
+  const funderBalance = await provider.getBalance(funder.address);
+  let available = funderBalance;
+  const results = [];
+  const transfers = [];
+  for (const wallet of plan) {
+    const result = { account: wallet.accountIndex + 1, address: wallet.address, action: "fund", amount: ethers.formatEther(wallet.amount), status: "failed", hash: null, error: null };
+    results.push(result);
+    if (available < wallet.amount + transferGasCost) {
+      result.status = "skipped";
+      result.error = `Funder balance too low: ${ethers.formatEther(available)} ETH left`;
+      continue;
     }
-    throw error;
+    available -= wallet.amount + transferGasCost;
+    transfers.push({ wallet, result });
   }
+  return { funder, funderBalance, gasLimit, plan, transfers, results, total: transfers.reduce((sum, { wallet }) => sum + wallet.amount, 0n) };
+}
+
+function formatGasFundingSummary(funding) {
+  const { thresholdEth, targetEth } = dailyActivityConfig.gasFunding;
+  return [
+    `Funder: ${funding.funder.address} (${ethers.formatEther(funding.funderBalance)} ETH)`,
+    `Wallets below ${thresholdEth} ETH: ${funding.plan.length}`,
+    `Top-ups to ${targetEth} ETH: ${funding.transfers.length}, ${ethers.formatEther(funding.total)} ETH in total`,
+    `Skipped (funder balance too low): ${funding.plan.length - funding.transfers.length}`
+  ];
+}
 
-  let receipt;
-  const timeoutMs = 300000;
+async function distributeGas(accountIndexes = getTargetAccountIndexes(), funding = null) {
+  if (gasFundingRunning) {
+    addLog("Gas funding is already running.", "warn");
+    return [];
+  }
+  gasFundingRunning = true;
   try {
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error("Transaction confirmation timed out")), timeoutMs);
+    funding = funding || await prepareGasFunding(accountIndexes);
+    if (funding.plan.length === 0) return [];
+    const direction = directions[0];
+    const { funder, gasLimit, plan, transfers, results, total } = funding;
+    const { targetEth } = dailyActivityConfig.gasFunding;
+    addLog(`Gas funding: topping up ${transfers.length} of ${plan.length} wallet(s) to ${targetEth} ETH, ${ethers.formatEther(total)} ETH in total${dailyActivityConfig.dryRun ? " (dry run)" : ""}`, "info");
+    if (transfers.length < plan.length) {
+      addLog(`Gas funding: funder cannot cover ${plan.length - transfers.length} wallet(s), skipping them`, "warn");
+    }
+
+    const batchCount = Math.ceil(transfers.length / GAS_FUNDING_BATCH_SIZE);
+    for (let batch = 0; batch < batchCount && !shouldStop; batch++) {
+      const batchTransfers = transfers.slice(batch * GAS_FUNDING_BATCH_SIZE, (batch + 1) * GAS_FUNDING_BATCH_SIZE);
+      if (batchCount > 1) {
+        addLog(`Gas funding: sending batch ${batch + 1}/${batchCount} (${batchTransfers.length} transfer(s))`, "info");
+      }
+      await Promise.all(batchTransfers.map(async ({ wallet, result }) => {
+        try {
+          const receipt = await executeTransaction(funder, direction, {
+            to: wallet.address,
+            data: "0x",
+            value: wallet.amount,
+            action: "Fund",
+            amount: result.amount,
+            token: "ETH",
+            fallbackGasLimit: gasLimit,
+            successMessage: `Funded ${getAccountLabel(wallet.accountIndex)} with ${result.amount} ETH`
+          });
+          result.status = dailyActivityConfig.dryRun ? "simulated" : "success";
+          result.hash = receipt?.hash || null;
+        } catch (error) {
+          result.error = error.message;
+        }
+      }));
+    }
+    for (const { result } of transfers) {
+      if (result.status === "failed" && !result.error) result.error = "Process stopped";
+    }
+
+    const funded = results.filter(result => result.status === "success" || result.status === "simulated").length;
+    const failed = results.filter(result => result.status === "failed").length;
+    addLog(`Gas funding finished: ${funded} funded, ${results.length - funded - failed} skipped, ${failed} failed`, failed > 0 ? "warn" : "success");
+    await updateWallets();
+    return results;
+  } finally {
+    gasFundingRunning = false;
+  }
+}
+
+async function planSweep(accountIndexes, target) {
+  const direction = directions[0];
+  const erc20Abi = ["function balanceOf(address) view returns (uint256)"];
+  const wallets = accountIndexes
+    .map(accountIndex => ({ accountIndex, address: getAccountAddress(accountIndex) }))
+    .filter(({ address }) => address && address.toLowerCase() !== target.toLowerCase());
+  return Promise.all(wallets.map(async (wallet) => {
+    const provider = getProvider(direction.rpc, direction.chainId, getAccountProxy(wallet.accountIndex));
+    const [eth, weth, exeth] = await Promise.all([
+      provider.getBalance(wallet.address),
+      new ethers.Contract(networkProfile.contracts.weth, erc20Abi, provider).balanceOf(wallet.address),
+      new ethers.Contract(networkProfile.contracts.exeth, erc20Abi, provider).balanceOf(wallet.address)
+    ]);
+    return { ...wallet, eth, weth, exeth };
+  }));
+}
+
+function formatSweepSummary(plan, target) {
+  const total = (key) => ethers.formatEther(plan.reduce((sum, wallet) => sum + wallet[key], 0n));
+  return [
+    `Target: ${target}`,
+    `Wallets: ${plan.length} (${plan.filter(wallet => wallet.eth > 0n || wallet.weth > 0n || wallet.exeth > 0n).length} with funds)`,
+    `WETH: ${total("weth")}`,
+    `eXETH: ${total("exeth")}`,
+    `ETH: ${total("eth")} (gas for every transfer is paid from this)`
+  ];
+}
+
+async function sweepAccount(accountIndex, target) {
+  const direction = directions[0];
+  const provider = getProvider(direction.rpc, direction.chainId, getAccountProxy(accountIndex));
+  const wallet = new ethers.Wallet(accounts[accountIndex].privateKey, provider);
+  const erc20Interface = new ethers.Interface([
+    "function transfer(address to, uint256 amount) returns (bool)",
+    "function balanceOf(address) view returns (uint256)"
+  ]);
+  const results = [];
+  const send = async (token, amountWei, call) => {
+    const result = { account: accountIndex + 1, address: wallet.address, action: "sweep", token, amount: ethers.formatEther(amountWei), status: "failed", hash: null, error: null };
+    results.push(result);
+    try {
+      const receipt = await executeTransaction(wallet, direction, {
+        ...call,
+        action: "Sweep",
+        amount: result.amount,
+        token,
+        successMessage: `Swept ${result.amount} ${token} from ${getAccountLabel(accountIndex)} to ${getShortAddress(target)}`
+      });
+      result.status = dailyActivityConfig.dryRun ? "simulated" : "success";
+      result.hash = receipt?.hash || null;
+    } catch (error) {
+      result.error = error.message;
+    }
+  };
+
+  for (const tokenAddress of [networkProfile.contracts.weth, networkProfile.contracts.exeth]) {
+    if (shouldStop) return results;
+    const balance = BigInt(await provider.call({ to: tokenAddress, data: erc20Interface.encodeFunctionData("balanceOf", [wallet.address]) }));
+    if (balance === 0n) continue;
+    await send(getTokenSymbol(tokenAddress), balance, {
+      to: tokenAddress,
+      data: erc20Interface.encodeFunctionData("transfer", [target, balance]),
+      fallbackGasLimit: 100000n
     });
-    receipt = await Promise.race([tx.wait(), timeoutPromise]);
-    if (receipt.status === 0) {
-      throw new Error("Transaction reverted");
+  }
+
+  if (shouldStop) return results;
+  const balance = await getFreshBalance(provider, wallet.address);
+  if (balance === 0n) return results;
+  // A legacy gas price is charged in full, so the wallet ends at exactly zero
+  const feeData = await provider.getFeeData();
+  const gasPrice = feeData.gasPrice || ethers.parseUnits("1", "gwei");
+  const gasLimit = await provider.estimateGas({ from: wallet.address, to: target, value: 1n });
+  const gasCost = gasPrice * gasLimit;
+  if (balance <= gasCost) {
+    results.push({ account: accountIndex + 1, address: wallet.address, action: "sweep", token: "ETH", amount: ethers.formatEther(balance), status: "skipped", hash: null, error: `ETH balance does not cover gas: ${ethers.formatEther(balance)} <= ${ethers.formatEther(gasCost)}` });
+    return results;
+  }
+  await send("ETH", balance - gasCost, {
+    to: target,
+    data: "0x",
+    value: balance - gasCost,
+    gasLimit,
+    feeParams: { gasPrice, type: 0 },
+    // A fee-bumped replacement of an exact-balance send can never be funded
+    replaceable: false
+  });
+  return results;
+}
+
+async function runSweep(plan, target) {
+  if (sweepRunning) {
+    addLog("A sweep is already running.", "warn");
+    return [];
+  }
+  sweepRunning = true;
+  const results = [];
+  try {
+    assertNetworkUsable();
+    const wallets = plan.filter(wallet => wallet.eth > 0n || wallet.weth > 0n || wallet.exeth > 0n);
+    addLog(`Sweeping ${wallets.length} wallet(s) to ${target}${dailyActivityConfig.dryRun ? " (dry run)" : ""}`, "info");
+    for (let position = 0; position < wallets.length && !shouldStop; position++) {
+      const { accountIndex, address } = wallets[position];
+      addLog(`Sweeping wallet ${position + 1}/${wallets.length}: ${getAccountLabel(accountIndex)}`, "wait", { wallet: address.toLowerCase() });
+      try {
+        results.push(...await sweepAccount(accountIndex, target));
+      } catch (error) {
+        addLog(`Sweep failed for ${getAccountLabel(accountIndex)}: ${error.message}`, "error", { wallet: address.toLowerCase() });
+        results.push({ account: accountIndex + 1, address, action: "sweep", token: null, amount: null, status: "failed", hash: null, error: error.message });
+      }
     }
-    addLog(`Wrap ${amount} ETH to WETH Successfully, Hash: ${getShortHash(tx.hash)}`, "success");
-  } catch (error) {
-    addLog(`Transaction failed: ${error.message}`, "error");
-    throw error;
+    const swept = results.filter(result => result.status === "success" || result.status === "simulated").length;
+    addLog(`Sweep finished: ${swept} of ${results.length} transfer(s) ${dailyActivityConfig.dryRun ? "simulated" : "sent"}`, swept === results.length ? "success" : "warn");
+    await updateWallets();
+    return results;
   } finally {
+    sweepRunning = false;
+  }
+}
 
+function loadClaimSchedule() {
+  try {
+    if (fs.existsSync(CLAIM_SCHEDULE_FILE)) {
+      claimSchedule = JSON.parse(fs.readFileSync(CLAIM_SCHEDULE_FILE, "utf8")) || {};
+      addLog(`Loaded ${Object.keys(claimSchedule).length} scheduled claims from ${CLAIM_SCHEDULE_FILE}`, "info");
+    }
+  } catch (error) {
+    addLog(`Failed to load claim schedule: ${error.message}`, "error");
+    claimSchedule = {};
   }
 }
 
-async function performUnwrap(wallet, direction, amount, proxyUrl) {
-  const { rpc, chainId } = direction;
-  const provider = getProvider(rpc, chainId, proxyUrl);
-  wallet = wallet.connect(provider);
+function saveClaimSchedule() {
+  try {
+    fs.writeFileSync(CLAIM_SCHEDULE_FILE, JSON.stringify(claimSchedule, null, 2));
+  } catch (error) {
+    addLog(`Failed to save claim schedule: ${error.message}`, "error");
+  }
+}
 
-  const amountWei = ethers.parseEther(amount.toString());
-  const address = wallet.address.toLowerCase();
+function clearClaimTimer(jobKey) {
+  if (claimTimers[jobKey]) {
+    clearTimeout(claimTimers[jobKey]);
+    delete claimTimers[jobKey];
+  }
+}
 
-  const wethInterface = new ethers.Interface(['function withdraw(uint256 wad)']);
-  const txData = wethInterface.encodeFunctionData('withdraw', [amountWei]);
+function armClaimTimer(jobKey) {
+  clearClaimTimer(jobKey);
+  if (isHeadless) return;
+  const job = claimSchedule[jobKey];
+  if (!job || job.gaveUp || job.chainId !== networkProfile.chainId) return;
+  const delay = Math.max(0, job.dueAt - Date.now());
+  if (delay > MAX_TIMER_DELAY) {
+    claimTimers[jobKey] = setTimeout(() => armClaimTimer(jobKey), MAX_TIMER_DELAY);
+    return;
+  }
+  claimTimers[jobKey] = setTimeout(() => {
+    delete claimTimers[jobKey];
+    runScheduledClaim(jobKey);
+  }, delay);
+}
 
-  const wethContract = new ethers.Contract(WETH_ADDRESS, ["function balanceOf(address) view returns (uint256)"], provider);
-  const wethBalance = await wethContract.balanceOf(address);
-  if (wethBalance < amountWei) {
-    throw new Error(`Insufficient WETH balance: ${ethers.formatEther(wethBalance)} < ${amount}`);
+async function syncClaimSchedule(accountIndex) {
+  const direction = directions[0];
+  const proxyUrl = getAccountProxy(accountIndex);
+  const provider = getProvider(direction.rpc, direction.chainId, proxyUrl);
+  const address = new ethers.Wallet(accounts[accountIndex].privateKey).address.toLowerCase();
+
+  const contract = new ethers.Contract(networkProfile.contracts.claim, CLAIM_ABI, provider);
+  const requests = await getWithdrawRequests(contract, address);
+  const coolDown = await contract.coolDownPeriod();
+  const latestBlock = await provider.getBlock('latest');
+  const chainNow = latestBlock.timestamp;
+
+  const onChainKeys = new Set();
+  let added = 0;
+  for (const request of requests) {
+    const jobKey = `${direction.chainId}_${address}_${request.withdrawRequestID}`;
+    onChainKeys.add(jobKey);
+    const readyAt = Number(request.createdAt + coolDown);
+    const existing = claimSchedule[jobKey];
+    if (existing?.gaveUp) continue;
+    const dueAt = readyAt <= chainNow ? Date.now() : Date.now() + (readyAt - chainNow) * 1000 + CLAIM_SCHEDULE_BUFFER_MS;
+    claimSchedule[jobKey] = {
+      chainId: direction.chainId,
+      address,
+      withdrawRequestID: request.withdrawRequestID.toString(),
+      readyAt,
+      dueAt: existing ? Math.max(existing.dueAt, dueAt) : dueAt,
+      attempts: existing ? existing.attempts : 0
+    };
+    if (!existing) added++;
+    if (!existing || !claimTimers[jobKey]) armClaimTimer(jobKey);
   }
 
-  const feeParams = await getFeeParams(provider);
-  const txParams = {
-    to: WETH_ADDRESS,
-    data: txData,
-    value: 0n,
-    ...feeParams
-  };
+  for (const jobKey of Object.keys(claimSchedule)) {
+    const job = claimSchedule[jobKey];
+    if (job.chainId === direction.chainId && job.address === address && !onChainKeys.has(jobKey)) {
+      clearClaimTimer(jobKey);
+      delete claimSchedule[jobKey];
+    }
+  }
+  saveClaimSchedule();
 
-  const gasLimit = 100000n;
-  addLog(`Using fixed gas limit: ${gasLimit} for unwrap on Holesky`, "debug");
+  if (added > 0) {
+    addLog(`Account ${accountIndex + 1}: Scheduled ${added} claim(s), ${onChainKeys.size} pending in total`, "info");
+  }
+}
 
-  const gasFee = feeParams.gasPrice || feeParams.maxFeePerGas;
-  const estimatedGasCost = gasFee * gasLimit;
-  const ethBalance = await provider.getBalance(address);
-  if (ethBalance < estimatedGasCost) {
-    throw new Error(`Insufficient ETH for gas: ${ethers.formatEther(ethBalance)} < ${ethers.formatEther(estimatedGasCost)}`);
+async function runScheduledClaim(jobKey) {
+  const job = claimSchedule[jobKey];
+  if (!job) return;
+  const accountIndex = accounts.findIndex(account => {
+    try {
+      return new ethers.Wallet(account.privateKey).address.toLowerCase() === job.address;
+    } catch (error) {
+      return false;
+    }
+  });
+  if (accountIndex === -1) {
+    addLog(`Scheduled claim for ${getShortAddress(job.address)} dropped: wallet no longer loaded`, "warn", { wallet: job.address, action: "Claim" });
+    delete claimSchedule[jobKey];
+    saveClaimSchedule();
+    return;
+  }
+  if (claimsInProgress.has(job.address)) {
+    claimSchedule[jobKey].dueAt = Date.now() + CLAIM_RETRY_DELAY_MS;
+    saveClaimSchedule();
+    armClaimTimer(jobKey);
+    return;
+  }
+
+  const direction = directions.find(d => d.chainId === job.chainId);
+  if (!direction) {
+    addLog(`Scheduled claim for ${getShortAddress(job.address)} skipped: chain ${job.chainId} is not the active network`, "warn", { wallet: job.address, action: "Claim" });
+    return;
+  }
+  if (!isActionEnabled(accountIndex, "claim")) {
+    addLog(`Account ${accountIndex + 1}: Scheduled claim for withdraw request ID ${job.withdrawRequestID} skipped: claim is disabled for this wallet`, "info", { wallet: job.address, action: "Claim" });
+    return;
   }
+  const proxyUrl = getAccountProxy(accountIndex);
+  const wallet = new ethers.Wallet(accounts[accountIndex].privateKey);
+  addLog(`Account ${accountIndex + 1}: Running scheduled claim for withdraw request ID ${job.withdrawRequestID}`, "warn", { wallet: job.address, action: "Claim" });
 
-  let tx;
+  claimsInProgress.add(job.address);
   try {
-    const nonce = await getNextNonce(provider, address, chainId);
-    tx = await wallet.sendTransaction({
-      ...txParams,
-      gasLimit,
-      nonce
-    });
-    addLog(`Unwrap Transaction sent: ${getShortHash(tx.hash)}`, "warn");
+    await performClaim(wallet, direction, proxyUrl);
+    if (dailyActivityConfig.dryRun && claimSchedule[jobKey]) {
+      claimSchedule[jobKey].dueAt = Date.now() + CLAIM_RETRY_DELAY_MS;
+      armClaimTimer(jobKey);
+      saveClaimSchedule();
+    }
   } catch (error) {
-    addLog(`Transaction failed: ${error.message}`, "error");
-    if (error.message.includes("nonce")) {
-      const nonceKey = `${chainId}_${address}`;
-      delete nonceTracker[nonceKey];
-      addLog(`Nonce error detected, resetting nonce for next attempt.`, "warn");
+    addLog(`Account ${accountIndex + 1}: Scheduled claim failed: ${error.message}`, "error", { wallet: job.address, action: "Claim" });
+    if (claimSchedule[jobKey]) {
+      claimSchedule[jobKey].attempts++;
+      if (claimSchedule[jobKey].attempts >= dailyActivityConfig.claimMaxAttempts) {
+        addLog(`Account ${accountIndex + 1}: Giving up on withdraw request ID ${job.withdrawRequestID} after ${claimSchedule[jobKey].attempts} attempt(s)`, "error", { wallet: job.address, action: "Claim" });
+        claimSchedule[jobKey].gaveUp = true;
+      } else {
+        claimSchedule[jobKey].dueAt = Date.now() + CLAIM_RETRY_DELAY_MS;
+        armClaimTimer(jobKey);
+      }
+      saveClaimSchedule();
     }
-    throw error;
+  } finally {
+    claimsInProgress.delete(job.address);
   }
 
-  let receipt;
-  const timeoutMs = 300000;
   try {
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error("Transaction confirmation timed out")), timeoutMs);
+    await syncClaimSchedule(accountIndex);
+  } catch (error) {
+    addLog(`Account ${accountIndex + 1}: Failed to refresh claim schedule: ${error.message}`, "error", { wallet: job.address, action: "Claim" });
+  }
+  await updateWallet(accountIndex);
+}
+
+// Claim timers are not armed headless, so a CLI cycle runs the jobs that are
+// already due before it exits and reports the ones that are not.
+async function runDueClaims(accountIndexes) {
+  const addresses = new Set(accountIndexes.map(accountIndex => getAccountAddress(accountIndex)?.toLowerCase()));
+  const isOwnJob = job => !job.gaveUp && job.chainId === networkProfile.chainId && addresses.has(job.address);
+  const dueKeys = Object.keys(claimSchedule).filter(jobKey => isOwnJob(claimSchedule[jobKey]) && claimSchedule[jobKey].dueAt <= Date.now());
+  for (const jobKey of dueKeys) {
+    if (shouldStop) break;
+    await runScheduledClaim(jobKey);
+  }
+  const waiting = Object.values(claimSchedule).filter(job => isOwnJob(job) && job.dueAt > Date.now());
+  if (waiting.length > 0) {
+    const nextDueAt = Math.min(...waiting.map(job => job.dueAt));
+    addLog(`${waiting.length} scheduled claim(s) are not due yet. They only run on a timer while the TUI is open; otherwise run "node index.js claim" after ${formatScheduleTime(nextDueAt)}.`, "warn");
+  }
+}
+
+async function initClaimScheduler() {
+  loadClaimSchedule();
+  for (const jobKey of Object.keys(claimSchedule)) {
+    armClaimTimer(jobKey);
+  }
+  for (let i = 0; i < accounts.length; i++) {
+    try {
+      await syncClaimSchedule(i);
+    } catch (error) {
+      addLog(`Account ${i + 1}: Failed to sync claim schedule: ${error.message}`, "error");
+    }
+  }
+}
+
+function parseCronField(field, min, max) {
+  const values = new Set();
+  for (const part of field.split(",")) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`invalid cron field "${field}"`);
+    const step = match[2] ? Number(match[2]) : 1;
+    let [start, end] = match[1] === "*" ? [min, max] : match[1].split("-").map(Number);
+    if (end === undefined) end = match[2] ? max : start;
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`cron field "${part}" is out of range ${min}-${max}`);
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return values;
+}
+
+function parseCronExpression(expression) {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== 5) throw new Error("cron expression needs 5 fields: minute hour day-of-month month day-of-week");
+  const dayOfWeek = parseCronField(fields[4], 0, 7);
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+  return {
+    minute: parseCronField(fields[0], 0, 59),
+    hour: parseCronField(fields[1], 0, 23),
+    dayOfMonth: parseCronField(fields[2], 1, 31),
+    month: parseCronField(fields[3], 1, 12),
+    dayOfWeek,
+    restrictsDayOfMonth: fields[2] !== "*",
+    restrictsDayOfWeek: fields[4] !== "*"
+  };
+}
+
+function parseTimeWindow(window) {
+  const match = String(window).match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!match) throw new Error(`invalid time window "${window}", expected HH:MM-HH:MM`);
+  const [startHour, startMinute, endHour, endMinute] = match.slice(1).map(Number);
+  if (startHour > 23 || endHour > 24 || startMinute > 59 || endMinute > 59) {
+    throw new Error(`invalid time window "${window}"`);
+  }
+  const start = startHour * 60 + startMinute;
+  const end = (endHour * 60 + endMinute) % 1440;
+  if (start === end) throw new Error(`time window "${window}" is empty`);
+  return { start, end };
+}
+
+function getZonedParts(timestamp, timeZone) {
+  if (!zonedFormatters[timeZone]) {
+    zonedFormatters[timeZone] = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      weekday: "short"
     });
-    receipt = await Promise.race([tx.wait(), timeoutPromise]);
-    if (receipt.status === 0) {
-      throw new Error("Transaction reverted");
+  }
+  const parts = Object.fromEntries(zonedFormatters[timeZone].formatToParts(timestamp).map(part => [part.type, part.value]));
+  return {
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: CRON_WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+function getNextCronRun(cron, timeZone, from) {
+  let time = Math.floor(from / 60000) * 60000 + 60000;
+  for (let i = 0; i < 20000; i++) {
+    const { month, day, hour, minute, weekday } = getZonedParts(time, timeZone);
+    // Standard cron: when both day fields are restricted, either may match.
+    const dayMatches = cron.restrictsDayOfMonth && cron.restrictsDayOfWeek
+      ? cron.dayOfMonth.has(day) || cron.dayOfWeek.has(weekday)
+      : cron.dayOfMonth.has(day) && cron.dayOfWeek.has(weekday);
+    if (!cron.month.has(month) || !dayMatches) {
+      time += ((23 - hour) * 60 + 60 - minute) * 60000;
+    } else if (!cron.hour.has(hour)) {
+      time += (60 - minute) * 60000;
+    } else if (!cron.minute.has(minute)) {
+      time += 60000;
+    } else {
+      return time;
     }
-    addLog(`Unwrap ${amount} WETH to ETH Successfully, Hash: ${getShortHash(tx.hash)}`, "success");
-  } catch (error) {
-    addLog(`Transaction failed: ${error.message}`, "error");
-    throw error;
-  } finally {
+  }
+  return null;
+}
 
+function getWindowSlots(windows, loopHours) {
+  const step = Math.max(1, Math.round(loopHours * 60));
+  const slots = new Set();
+  for (const { start, end } of windows) {
+    const duration = (end - start + 1440) % 1440;
+    for (let offset = 0; offset < duration; offset += step) slots.add((start + offset) % 1440);
   }
+  return [...slots].sort((a, b) => a - b);
 }
 
-async function runDailyActivity() {
-  if (accounts.length === 0) {
-    addLog("No valid accounts found.", "error");
-    return;
+function getNextWindowRun(slots, timeZone, from) {
+  if (slots.length === 0) {
+    addLog("Schedule windows produced no start times", "error");
+    return null;
   }
-  addLog(`Starting daily activity for all accounts. Auto Stake: ${dailyActivityConfig.stakeRepetitions}x, Auto Unstake: ${dailyActivityConfig.unstakeRepetitions}x, Auto Claim: ${dailyActivityConfig.claimRepetitions}x`, "info");
-  activityRunning = true;
+  let time = Math.floor(from / 60000) * 60000 + 60000;
+  for (let i = 0; i < 10; i++) {
+    const { hour, minute } = getZonedParts(time, timeZone);
+    const minuteOfDay = hour * 60 + minute;
+    const slot = slots.find(value => value >= minuteOfDay);
+    if (slot === minuteOfDay) return time;
+    time += (slot !== undefined ? slot - minuteOfDay : 1440 - minuteOfDay + slots[0]) * 60000;
+  }
+  addLog(`No schedule window start found after ${formatScheduleTime(from)} in ${timeZone}`, "error");
+  return null;
+}
+
+function hasSchedule() {
+  const { schedule } = dailyActivityConfig;
+  return Boolean(schedule.cron) || schedule.windows.length > 0;
+}
+
+function isWithinScheduleWindow(timestamp = Date.now()) {
+  const { schedule } = dailyActivityConfig;
+  if (schedule.cron || schedule.windows.length === 0) return false;
+  const { hour, minute } = getZonedParts(timestamp, schedule.timezone);
+  const minuteOfDay = hour * 60 + minute;
+  return schedule.windows.map(parseTimeWindow).some(({ start, end }) =>
+    start < end ? minuteOfDay >= start && minuteOfDay < end : minuteOfDay >= start || minuteOfDay < end
+  );
+}
+
+function getNextScheduledRun(from = Date.now()) {
+  const { schedule } = dailyActivityConfig;
+  if (schedule.cron) return getNextCronRun(parseCronExpression(schedule.cron), schedule.timezone, from);
+  if (schedule.windows.length > 0) {
+    return getNextWindowRun(getWindowSlots(schedule.windows.map(parseTimeWindow), dailyActivityConfig.loopHours), schedule.timezone, from);
+  }
+  return null;
+}
+
+function formatScheduleTime(timestamp) {
+  return new Date(timestamp).toLocaleString("id-ID", { timeZone: dailyActivityConfig.schedule.timezone });
+}
+
+function scheduleNextCycle() {
+  nextCycleAt = getNextScheduledRun() ?? Date.now() + dailyActivityConfig.loopHours * 60 * 60 * 1000;
+  const arm = () => {
+    const delay = nextCycleAt - Date.now();
+    if (delay > MAX_TIMER_DELAY) {
+      dailyActivityInterval = setTimeout(arm, MAX_TIMER_DELAY);
+      return;
+    }
+    dailyActivityInterval = setTimeout(() => {
+      dailyActivityInterval = null;
+      nextCycleAt = null;
+      runDailyActivity();
+    }, Math.max(0, delay));
+  };
+  arm();
   isCycleRunning = true;
-  shouldStop = false;
-  hasLoggedSleepInterrupt = false;
-  activeProcesses = Math.max(0, activeProcesses);
-  updateMenu();
+  return nextCycleAt;
+}
+
+function getAccountIndexByAddress(address) {
+  return accounts.findIndex((_, i) => getAccountAddress(i)?.toLowerCase() === address.toLowerCase());
+}
+
+function loadCycleState() {
   try {
-    for (let accountIndex = 0; accountIndex < accounts.length && !shouldStop; accountIndex++) {
-      addLog(`Starting processing for account ${accountIndex + 1}`, "info");
-      selectedWalletIndex = accountIndex;
-      const proxyUrl = proxies[accountIndex % proxies.length] || null;
-      addLog(`Account ${accountIndex + 1}: Using Proxy ${proxyUrl || "none"}`, "info");
-      const wallet = new ethers.Wallet(accounts[accountIndex].privateKey);
-      if (!ethers.isAddress(wallet.address)) {
-        addLog(`Invalid wallet address for account ${accountIndex + 1}: ${wallet.address}`, "error");
-        continue;
-      }
-      addLog(`Processing account ${accountIndex + 1}: ${getShortAddress(wallet.address)}`, "wait");
+    if (fs.existsSync(CYCLE_STATE_FILE)) return JSON.parse(fs.readFileSync(CYCLE_STATE_FILE, "utf8"));
+  } catch (error) {
+    addLog(`Failed to load cycle state: ${error.message}`, "error");
+  }
+  return null;
+}
 
-      const direction = directions[0];
-      for (let stakeCount = 0; stakeCount < dailyActivityConfig.stakeRepetitions && !shouldStop; stakeCount++) {
-        let amount = (Math.random() * (dailyActivityConfig.wethStakeRange.max - dailyActivityConfig.wethStakeRange.min) + dailyActivityConfig.wethStakeRange.min).toFixed(4);
-        addLog(`Account ${accountIndex + 1} - Stake ${stakeCount + 1}: ${amount} WETH for eXETH`, "warn");
+function saveCycleState() {
+  if (dailyActivityConfig.dryRun) return;
+  try {
+    if (cycleState) {
+      fs.writeFileSync(CYCLE_STATE_FILE, JSON.stringify(cycleState, null, 2));
+    } else if (fs.existsSync(CYCLE_STATE_FILE)) {
+      fs.unlinkSync(CYCLE_STATE_FILE);
+    }
+  } catch (error) {
+    addLog(`Failed to save cycle state: ${error.message}`, "error");
+  }
+}
+
+function createCycleState(accountIndexes) {
+  const wallets = {};
+  for (const accountIndex of accountIndexes) {
+    const address = getAccountAddress(accountIndex);
+    if (!address) continue;
+    const { stakeRepetitions, unstakeRepetitions, claimRepetitions } = getAccountConfig(accountIndex);
+    wallets[address.toLowerCase()] = {
+      status: "pending",
+      stake: { planned: isActionEnabled(accountIndex, "stake") ? stakeRepetitions : 0, done: 0 },
+      unstake: { planned: isActionEnabled(accountIndex, "unstake") ? unstakeRepetitions : 0, done: 0 },
+      claim: { planned: isActionEnabled(accountIndex, "claim") && claimRepetitions > 0, done: false },
+      inFlight: null,
+      lastTxHash: null
+    };
+  }
+  return { id: new Date().toISOString(), chainId: networkProfile.chainId, startedAt: Date.now(), wallets };
+}
+
+function getResumableCycle() {
+  const state = loadCycleState();
+  if (!state || state.chainId !== networkProfile.chainId) return null;
+  return Object.values(state.wallets).some(progress => progress.status !== "done") ? state : null;
+}
+
+function getCycleAccountIndexes(state) {
+  return Object.entries(state.wallets)
+    .filter(([, progress]) => progress.status !== "done")
+    .map(([address]) => getAccountIndexByAddress(address))
+    .filter(accountIndex => accountIndex !== -1);
+}
+
+function describeCycle(state) {
+  const wallets = Object.values(state.wallets);
+  const done = wallets.filter(progress => progress.status === "done").length;
+  return `cycle ${state.id} (${done}/${wallets.length} wallets done)`;
+}
+
+// Only the step's own Stake/Unstake broadcasts land here (approvals, wraps and
+// scheduled claims are not passed this hook), so any hash means it was sent.
+function noteCycleTransaction(progress, hash) {
+  progress.inFlight.txAction = progress.inFlight.action === "stake" ? "Stake" : "Unstake";
+  progress.inFlight.hashes.push(hash);
+  progress.lastTxHash = hash;
+  saveCycleState();
+}
+
+async function findTransactionReceipt(provider, hashes) {
+  for (const hash of hashes) {
+    const receipt = await provider.getTransactionReceipt(hash);
+    if (receipt) return receipt;
+  }
+  return null;
+}
+
+async function reconcileCycleState(state) {
+  const direction = directions[0];
+  const blocked = new Set();
+  for (const [address, progress] of Object.entries(state.wallets)) {
+    const { inFlight } = progress;
+    if (!inFlight) continue;
+    const shortAddress = getShortAddress(address);
+    const mainAction = inFlight.action === "stake" ? "Stake" : "Unstake";
+    if (inFlight.txAction !== mainAction || inFlight.hashes.length === 0) {
+      addLog(`${shortAddress}: Interrupted ${inFlight.action} ${progress[inFlight.action].done + 1} was never sent, it will be retried`, "info", { wallet: address });
+      progress.inFlight = null;
+      continue;
+    }
+    const accountIndex = getAccountIndexByAddress(address);
+    const provider = getProvider(direction.rpc, direction.chainId, accountIndex === -1 ? null : getAccountProxy(accountIndex));
+    let receipt, known;
+    try {
+      receipt = await findTransactionReceipt(provider, inFlight.hashes);
+      known = !receipt && await isAnyTransactionKnown(provider, inFlight.hashes);
+    } catch (error) {
+      addLog(`${shortAddress}: Could not check interrupted ${mainAction} transaction: ${error.shortMessage || error.message}. Skipping this wallet, resume again later.`, "error", { wallet: address, action: mainAction });
+      blocked.add(address);
+      continue;
+    }
+    if (known) {
+      addLog(`${shortAddress}: Waiting for interrupted ${mainAction} transaction ${getShortHash(inFlight.hashes.at(-1))} to confirm...`, "wait", { wallet: address, action: mainAction });
+      const deadline = Date.now() + dailyActivityConfig.confirmationTimeoutSeconds * 1000;
+      while (!receipt && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 5000));
         try {
-          await performStake(wallet, direction, amount, proxyUrl);
+          receipt = await findTransactionReceipt(provider, inFlight.hashes);
         } catch (error) {
-          addLog(`Account ${accountIndex + 1} - Stake ${stakeCount + 1}: Failed: ${error.message}. Skipping to next.`, "error");
-        } finally {
-          await updateWallets();
-        }
-        if (stakeCount < dailyActivityConfig.stakeRepetitions - 1 && !shouldStop) {
-          const randomDelay = Math.floor(Math.random() * (15000 - 10000 + 1)) + 10000;
-          addLog(`Account ${accountIndex + 1} - Waiting ${Math.floor(randomDelay / 1000)} seconds before next stake...`, "delay");
-          await sleep(randomDelay);
+          addLog(`${shortAddress}: Receipt lookup failed, retrying: ${error.shortMessage || error.message}`, "warn", { wallet: address, action: mainAction });
         }
       }
-
-      if (dailyActivityConfig.stakeRepetitions > 0 && dailyActivityConfig.unstakeRepetitions > 0 && !shouldStop) {
-        const randomDelay = Math.floor(Math.random() * (15000 - 10000 + 1)) + 10000;
-        addLog(`Account ${accountIndex + 1} - Waiting ${Math.floor(randomDelay / 1000)} seconds before starting unstake...`, "delay");
-        await sleep(randomDelay);
+      if (!receipt) {
+        addLog(`${shortAddress}: ${mainAction} transaction ${inFlight.hashes.at(-1)} is still pending. Skipping this wallet, resume again once it confirms.`, "error", { wallet: address, action: mainAction });
+        blocked.add(address);
+        continue;
       }
+    }
+    if (receipt) {
+      const status = receipt.status === 1 ? "success" : "reverted";
+      progress[inFlight.action].done++;
+      recordTransaction({
+        chainId: state.chainId,
+        wallet: address,
+        action: mainAction,
+        amount: inFlight.amount,
+        token: inFlight.action === "stake" ? "WETH" : "eXETH",
+        hash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        effectiveGasPrice: receipt.gasPrice.toString(),
+        status,
+        error: status === "reverted" ? "Transaction reverted" : null
+      });
+      addLog(`${shortAddress}: Interrupted ${mainAction} ${getShortHash(receipt.hash)} was mined (${status}), counting it as done`, status === "success" ? "success" : "warn", { wallet: address, action: mainAction, txHash: receipt.hash });
+    } else {
+      addLog(`${shortAddress}: Interrupted ${mainAction} transaction was dropped, it will be retried`, "warn", { wallet: address, action: mainAction });
+    }
+    progress.inFlight = null;
+  }
+  saveCycleState();
+  return blocked;
+}
 
-      for (let unstakeCount = 0; unstakeCount < dailyActivityConfig.unstakeRepetitions && !shouldStop; unstakeCount++) {
-        let amount = (Math.random() * (dailyActivityConfig.exethUnstakeRange.max - dailyActivityConfig.exethUnstakeRange.min) + dailyActivityConfig.exethUnstakeRange.min).toFixed(4);
-        addLog(`Account ${accountIndex + 1} - Unstake ${unstakeCount + 1}: ${amount} eXETH for WETH`, "warn");
-        try {
-          await performUnstake(wallet, direction, amount, proxyUrl);
-        } catch (error) {
-          addLog(`Account ${accountIndex + 1} - Unstake ${unstakeCount + 1}: Failed: ${error.message}. Skipping to next.`, "error");
-        } finally {
-          await updateWallets();
-        }
-        if (unstakeCount < dailyActivityConfig.unstakeRepetitions - 1 && !shouldStop) {
-          const randomDelay = Math.floor(Math.random() * (15000 - 10000 + 1)) + 10000;
-          addLog(`Account ${accountIndex + 1} - Waiting ${Math.floor(randomDelay / 1000)} seconds before next unstake...`, "delay");
-          await sleep(randomDelay);
-        }
+async function processAccount(accountIndex, progress) {
+  let failures = 0;
+  addLog(`Starting processing for account ${accountIndex + 1}`, "info");
+  const initialProxyUrl = getAccountProxy(accountIndex);
+  addLog(`Account ${accountIndex + 1}: Using Proxy ${initialProxyUrl ? getProxyHost(initialProxyUrl) : "none"}`, "info");
+  const wallet = new ethers.Wallet(accounts[accountIndex].privateKey);
+  if (!ethers.isAddress(wallet.address)) {
+    addLog(`Invalid wallet address for account ${accountIndex + 1}: ${wallet.address}`, "error");
+    return 1;
+  }
+  addLog(`Processing account ${accountIndex + 1}: ${getAccountLabel(accountIndex)}`, "wait", { wallet: wallet.address });
+
+  const direction = directions[0];
+  const stakeRepetitions = progress.stake.planned;
+  const unstakeRepetitions = progress.unstake.planned;
+  progress.status = "in-progress";
+  saveCycleState();
+  for (let stakeCount = progress.stake.done; stakeCount < stakeRepetitions && !shouldStop; stakeCount++) {
+    progress.inFlight = { action: "stake", amount: null, txAction: null, hashes: [] };
+    try {
+      const proxyUrl = getAccountProxy(accountIndex);
+      const amount = await pickActionAmount("stake", accountIndex, proxyUrl);
+      addLog(`Account ${accountIndex + 1} - Stake ${stakeCount + 1}: ${amount} WETH for eXETH`, "warn", { wallet: wallet.address });
+      progress.inFlight.amount = amount;
+      saveCycleState();
+      await performStake(wallet, direction, amount, proxyUrl, hash => noteCycleTransaction(progress, hash));
+      progress.stake.done++;
+    } catch (error) {
+      if (error.kind === "skipped") {
+        addLog(`Account ${accountIndex + 1} - Stake ${stakeCount + 1}: Skipped: ${error.message}`, "warn", { wallet: wallet.address });
+      } else {
+        addLog(`Account ${accountIndex + 1} - Stake ${stakeCount + 1}: Failed: ${error.message}. Skipping to next.`, "error", { wallet: wallet.address });
+        failures++;
       }
+      if (!shouldStop || progress.inFlight.hashes.length > 0) progress.stake.done++;
+    } finally {
+      progress.inFlight = null;
+      saveCycleState();
+      await updateWallet(accountIndex);
+    }
+    if (stakeCount < stakeRepetitions - 1 && !shouldStop) {
+      const randomDelay = Math.floor(Math.random() * (15000 - 10000 + 1)) + 10000;
+      addLog(`Account ${accountIndex + 1} - Waiting ${Math.floor(randomDelay / 1000)} seconds before next stake...`, "delay", { wallet: wallet.address });
+      await sleep(randomDelay);
+    }
+  }
+
+  if (stakeRepetitions > 0 && progress.unstake.done < unstakeRepetitions && !shouldStop) {
+    const randomDelay = Math.floor(Math.random() * (15000 - 10000 + 1)) + 10000;
+    addLog(`Account ${accountIndex + 1} - Waiting ${Math.floor(randomDelay / 1000)} seconds before starting unstake...`, "delay", { wallet: wallet.address });
+    await sleep(randomDelay);
+  }
 
-      if (dailyActivityConfig.unstakeRepetitions > 0 && dailyActivityConfig.claimRepetitions > 0 && !shouldStop) {
-        const randomDelay = Math.floor(Math.random() * (15000 - 10000 + 1)) + 10000;
-        addLog(`Account ${accountIndex + 1} - Waiting ${Math.floor(randomDelay / 1000)} seconds before starting claim...`, "delay");
-        await sleep(randomDelay);
+  for (let unstakeCount = progress.unstake.done; unstakeCount < unstakeRepetitions && !shouldStop; unstakeCount++) {
+    progress.inFlight = { action: "unstake", amount: null, txAction: null, hashes: [] };
+    try {
+      const proxyUrl = getAccountProxy(accountIndex);
+      const amount = await pickActionAmount("unstake", accountIndex, proxyUrl);
+      addLog(`Account ${accountIndex + 1} - Unstake ${unstakeCount + 1}: ${amount} eXETH for WETH`, "warn", { wallet: wallet.address });
+      progress.inFlight.amount = amount;
+      saveCycleState();
+      await performUnstake(wallet, direction, amount, proxyUrl, hash => noteCycleTransaction(progress, hash));
+      progress.unstake.done++;
+    } catch (error) {
+      if (error.kind === "skipped") {
+        addLog(`Account ${accountIndex + 1} - Unstake ${unstakeCount + 1}: Skipped: ${error.message}`, "warn", { wallet: wallet.address });
+      } else {
+        addLog(`Account ${accountIndex + 1} - Unstake ${unstakeCount + 1}: Failed: ${error.message}. Skipping to next.`, "error", { wallet: wallet.address });
+        failures++;
       }
+      if (!shouldStop || progress.inFlight.hashes.length > 0) progress.unstake.done++;
+    } finally {
+      progress.inFlight = null;
+      saveCycleState();
+      await updateWallet(accountIndex);
+    }
+    if (unstakeCount < unstakeRepetitions - 1 && !shouldStop) {
+      const randomDelay = Math.floor(Math.random() * (15000 - 10000 + 1)) + 10000;
+      addLog(`Account ${accountIndex + 1} - Waiting ${Math.floor(randomDelay / 1000)} seconds before next unstake...`, "delay", { wallet: wallet.address });
+      await sleep(randomDelay);
+    }
+  }
 
-      for (let claimCount = 0; claimCount < dailyActivityConfig.claimRepetitions && !shouldStop; claimCount++) {
-        addLog(`Account ${accountIndex + 1} - Claim ${claimCount + 1}`, "warn");
-        try {
-          await performClaim(wallet, direction, proxyUrl);
-        } catch (error) {
-          addLog(`Account ${accountIndex + 1} - Claim ${claimCount + 1}: Failed: ${error.message}. Skipping to next.`, "error");
-        } finally {
-          await updateWallets();
-        }
-        if (claimCount < dailyActivityConfig.claimRepetitions - 1 && !shouldStop) {
-          const randomDelay = Math.floor(Math.random() * (15000 - 10000 + 1)) + 10000;
-          addLog(`Account ${accountIndex + 1} - Waiting ${Math.floor(randomDelay / 1000)} seconds before next claim...`, "delay");
-          await sleep(randomDelay);
+  if (progress.claim.planned && !progress.claim.done && !shouldStop) {
+    try {
+      await syncClaimSchedule(accountIndex);
+    } catch (error) {
+      addLog(`Account ${accountIndex + 1} - Failed to schedule claims: ${error.message}`, "error", { wallet: wallet.address });
+      failures++;
+    }
+    progress.claim.done = true;
+  }
+  if (!shouldStop) progress.status = "done";
+  saveCycleState();
+  return failures;
+}
+
+async function runDailyActivity(accountIndexes = getTargetAccountIndexes(), resumeState = null) {
+  let failures = 0;
+  if (resumeState) {
+    const unfinished = getCycleAccountIndexes(resumeState);
+    if (accountIndexes && accountIndexes.length < unfinished.length) {
+      addLog(`Resuming ${accountIndexes.filter(i => unfinished.includes(i)).length} of ${unfinished.length} unfinished wallet(s), the rest stay in the cycle for a later resume`, "warn");
+    }
+    accountIndexes = accountIndexes ? unfinished.filter(i => accountIndexes.includes(i)) : unfinished;
+  }
+  if (accounts.length === 0) {
+    addLog("No valid accounts found.", "error");
+    return { failures: 1 };
+  }
+  if (accountIndexes.length === 0) {
+    addLog(`No accounts selected${dailyActivityConfig.targetGroup ? ` in target group "${dailyActivityConfig.targetGroup}"` : ""}.`, "error");
+    return { failures: 1 };
+  }
+  if (networkStatus === "invalid") {
+    addLog(`Network profile ${networkProfile.name} failed validation. Daily activity not started.`, "error");
+    return { failures: 1 };
+  }
+  if (resumeState) {
+    addLog(`Resuming ${describeCycle(resumeState)}`, "info");
+  }
+  addLog(`Starting daily activity for ${accountIndexes.length === accounts.length ? "all accounts" : `${accountIndexes.length} of ${accounts.length} accounts`}. Auto Stake: ${dailyActivityConfig.stakeRepetitions}x, Auto Unstake: ${dailyActivityConfig.unstakeRepetitions}x, Auto Claim: ${dailyActivityConfig.claimRepetitions}x`, "info");
+  if (dailyActivityConfig.dryRun) {
+    addLog("Dry run mode is ON: transactions will be simulated, nothing will be sent.", "warn");
+  }
+  activityRunning = true;
+  isCycleRunning = true;
+  shouldStop = false;
+  hasLoggedSleepInterrupt = false;
+  activeProcesses = Math.max(0, activeProcesses);
+  updateMenu();
+  try {
+    if (resumeState) {
+      const blocked = await reconcileCycleState(resumeState);
+      accountIndexes = accountIndexes.filter(accountIndex => !blocked.has(getAccountAddress(accountIndex).toLowerCase()));
+      failures += blocked.size;
+      cycleState = resumeState;
+    } else {
+      cycleState = createCycleState(accountIndexes);
+      saveCycleState();
+    }
+    if (dailyActivityConfig.gasFunding.autoBeforeCycle && !shouldStop) {
+      try {
+        await distributeGas(accountIndexes);
+      } catch (error) {
+        addLog(`Gas funding before cycle failed: ${error.message}`, "error");
+      }
+    }
+    const concurrency = Math.min(dailyActivityConfig.concurrency, accountIndexes.length);
+    if (concurrency > 1) {
+      addLog(`Processing up to ${concurrency} accounts in parallel`, "info");
+    }
+    const jitterMs = dailyActivityConfig.schedule.walletJitterMinutes * 60 * 1000;
+    const cycleStartedAt = Date.now();
+    const startOffsets = new Map(accountIndexes.map(accountIndex => [accountIndex, Math.floor(Math.random() * jitterMs)]));
+    const queue = [...accountIndexes].sort((a, b) => startOffsets.get(a) - startOffsets.get(b));
+    const running = new Set();
+    const runAccount = async (accountIndex, progress, isLast) => {
+      activeProcesses++;
+      try {
+        failures += await processAccount(accountIndex, progress);
+        if (!isLast && !shouldStop) {
+          addLog(`Waiting 10 seconds before next account...`, "delay");
+          await sleep(10000);
         }
+      } catch (error) {
+        addLog(`Account ${accountIndex + 1}: Processing failed: ${error.message}`, "error");
+        failures++;
+      } finally {
+        activeProcesses = Math.max(0, activeProcesses - 1);
       }
-
-      if (accountIndex < accounts.length - 1 && !shouldStop) {
-        addLog(`Waiting 10 seconds before next account...`, "delay");
-        await sleep(10000);
+    };
+    // Start jitter is waited out here, before a worker slot is taken.
+    for (let position = 0; position < queue.length && !shouldStop; position++) {
+      const accountIndex = queue[position];
+      const jitterWait = cycleStartedAt + startOffsets.get(accountIndex) - Date.now();
+      if (jitterWait > 0) {
+        addLog(`Account ${accountIndex + 1}: Start jitter, waiting ${Math.ceil(jitterWait / 1000)} seconds`, "delay", { wallet: getAccountAddress(accountIndex)?.toLowerCase() });
+        await sleep(jitterWait);
+        if (shouldStop) break;
+      }
+      while (running.size >= concurrency) await Promise.race(running);
+      if (shouldStop) break;
+      const progress = cycleState.wallets[getAccountAddress(accountIndex)?.toLowerCase()];
+      if (!progress) {
+        addLog(`Invalid wallet for account ${accountIndex + 1}, skipping`, "error");
+        failures++;
+        continue;
+      }
+      const task = runAccount(accountIndex, progress, position === queue.length - 1).then(() => running.delete(task));
+      running.add(task);
+    }
+    await Promise.all(running);
+    if (!shouldStop) {
+      const unfinished = getCycleAccountIndexes(cycleState).length;
+      if (unfinished === 0) {
+        cycleState = null;
+        saveCycleState();
+      } else {
+        addLog(`${unfinished} wallet(s) in ${describeCycle(cycleState)} are unfinished, resume the cycle to finish them`, "warn");
       }
     }
-    if (!shouldStop && activeProcesses <= 0) {
-      addLog(`All accounts processed. Waiting ${dailyActivityConfig.loopHours} hours for next cycle.`, "success");
-      dailyActivityInterval = setTimeout(runDailyActivity, dailyActivityConfig.loopHours * 60 * 60 * 1000);
+    if (isHeadless) {
+      addLog("All selected accounts processed.", "success");
+      await runDueClaims(accountIndexes);
+    } else if (!shouldStop && activeProcesses <= 0) {
+      scheduleNextCycle();
+      addLog(`All accounts processed. Next cycle at ${formatScheduleTime(nextCycleAt)}.`, "success");
     }
   } catch (error) {
     addLog(`Daily activity failed: ${error.message}`, "error");
+    failures++;
   } finally {
     if (shouldStop) {
       if (activeProcesses <= 0) {
         if (dailyActivityInterval) {
           clearTimeout(dailyActivityInterval);
           dailyActivityInterval = null;
+          nextCycleAt = null;
           addLog("Cleared daily activity interval.", "info");
         }
         activityRunning = false;
@@ -897,11 +3056,14 @@ async function runDailyActivity() {
         safeRender();
       } else {
         const stopCheckInterval = setInterval(() => {
-          if (activeProcesses <= 0) {
+          if (!shouldStop) {
+            clearInterval(stopCheckInterval);
+          } else if (activeProcesses <= 0) {
             clearInterval(stopCheckInterval);
             if (dailyActivityInterval) {
               clearTimeout(dailyActivityInterval);
               dailyActivityInterval = null;
+              nextCycleAt = null;
               addLog("Cleared daily activity interval.", "info");
             }
             activityRunning = false;
@@ -919,14 +3081,604 @@ async function runDailyActivity() {
         }, 1000);
       }
     } else {
-      activityRunning = false;
-      isCycleRunning = activeProcesses > 0 || dailyActivityInterval !== null;
-      updateMenu();
-      updateStatus();
-      safeRender();
+      activityRunning = false;
+      isCycleRunning = activeProcesses > 0 || dailyActivityInterval !== null;
+      updateMenu();
+      updateStatus();
+      safeRender();
+    }
+  }
+  return { failures, accountIndexes };
+}
+
+function parseCliArgs(argv) {
+  const options = { command: null, wallet: "all", amount: null, json: false, dryRun: false, quiet: false, from: null, to: null, target: null, format: null, output: null, count: null, path: null };
+  const args = [...argv];
+  while (args.length > 0) {
+    let arg = args.shift();
+    let value = null;
+    if (arg.startsWith("--") && arg.includes("=")) {
+      [arg, value] = [arg.slice(0, arg.indexOf("=")), arg.slice(arg.indexOf("=") + 1)];
+    }
+    switch (arg) {
+      case "--wallet":
+      case "-w":
+        options.wallet = value ?? args.shift() ?? "";
+        break;
+      case "--amount":
+      case "-a":
+        options.amount = value ?? args.shift() ?? "";
+        break;
+      case "--json":
+        options.json = true;
+        break;
+      case "--from":
+        options.from = value ?? args.shift() ?? "";
+        break;
+      case "--to":
+        options.to = value ?? args.shift() ?? "";
+        break;
+      case "--target":
+        options.target = value ?? args.shift() ?? "";
+        break;
+      case "--format":
+        options.format = value ?? args.shift() ?? "";
+        break;
+      case "--output":
+      case "-o":
+        options.output = value ?? args.shift() ?? "";
+        break;
+      case "--count":
+      case "-n":
+        options.count = value ?? args.shift() ?? "";
+        break;
+      case "--path":
+        options.path = value ?? args.shift() ?? "";
+        break;
+      case "--network":
+        options.network = value ?? args.shift() ?? "";
+        break;
+      case "--resume":
+        options.resume = true;
+        break;
+      case "--yes":
+      case "-y":
+        options.yes = true;
+        break;
+      case "--concurrency":
+        options.concurrency = value ?? args.shift() ?? "";
+        break;
+      case "--dry-run":
+        options.dryRun = true;
+        break;
+      case "--quiet":
+      case "-q":
+        options.quiet = true;
+        break;
+      case "--help":
+      case "-h":
+        options.command = "help";
+        break;
+      default:
+        if (options.command === null) {
+          options.command = arg;
+        } else {
+          options.unknown = arg;
+        }
+    }
+  }
+  return options;
+}
+
+function selectAccountIndexes(selection) {
+  if (!selection || selection === "all") return accounts.map((_, i) => i);
+  const addresses = accounts.map(account => {
+    try {
+      return new ethers.Wallet(account.privateKey).address.toLowerCase();
+    } catch (error) {
+      return null;
+    }
+  });
+  const indexes = new Set();
+  for (const part of selection.split(",").map(p => p.trim()).filter(p => p)) {
+    if (part.startsWith("group:")) {
+      const group = part.slice("group:".length);
+      const members = accounts.map((_, i) => i).filter(i => getAccountSettings(i).group === group);
+      if (members.length === 0) throw new Error(`No loaded wallet belongs to group ${group}`);
+      members.forEach(index => indexes.add(index));
+      continue;
+    }
+    if (ethers.isAddress(part)) {
+      const index = addresses.indexOf(part.toLowerCase());
+      if (index === -1) throw new Error(`Wallet ${part} is not loaded`);
+      indexes.add(index);
+      continue;
+    }
+    const match = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) throw new Error(`Invalid wallet selection: ${part}`);
+    const start = Number(match[1]);
+    const end = match[2] ? Number(match[2]) : start;
+    if (start < 1 || end > accounts.length || start > end) {
+      throw new Error(`Wallet selection ${part} is out of range (1-${accounts.length})`);
+    }
+    for (let n = start; n <= end; n++) indexes.add(n - 1);
+  }
+  return [...indexes].sort((a, b) => a - b);
+}
+
+function printCliUsage() {
+  console.log(`Usage: node index.js <command> [options]
+
+Commands:
+  balances               Show ETH, WETH and eXETH balances
+  stake                  Stake WETH for eXETH
+  unstake                Unstake eXETH (queues a withdraw request)
+  claim                  Claim every matured withdraw request
+  wrap                   Wrap ETH to WETH (requires --amount)
+  unwrap                 Unwrap WETH to ETH (requires --amount)
+  fund                   Top up wallets below gasFunding.thresholdEth from the funder key
+  sweep                  Send all WETH, eXETH and ETH (minus gas) to --target <address>
+  run-daily              Run one daily activity cycle and exit
+  history                Export transaction history as CSV (default) or JSON
+  migrate-keys           Encrypt the private keys in pk.txt into vault.json and funder.txt into funder.json
+  generate-wallets       Generate a new mnemonic and print the first --count addresses
+  help                   Show this help
+
+Options:
+  -w, --wallet <list>    Wallets to use: "all" (default), indexes such as 1,3,5-8, addresses, or group:<name>
+  -a, --amount <value>   Amount per wallet (stake/unstake default to the configured amount strategy)
+  --network <name>       Use this network profile instead of the one in config.json
+  --concurrency <n>      run-daily: number of wallets processed in parallel
+  --resume               run-daily: continue the interrupted cycle in cycle_state.json, limited to --wallet if given
+  --dry-run              Simulate transactions instead of sending them
+  --json                 Print results as JSON
+  -q, --quiet            Do not print logs to stderr
+  --from <date>          history: only include transactions on or after this date (YYYY-MM-DD)
+  --to <date>            history: only include transactions on or before this date (YYYY-MM-DD)
+  --target <address>     sweep: address that receives the funds
+  -y, --yes              sweep: send without asking for confirmation
+  --format <csv|json>    history: export format (--json implies json)
+  -o, --output <file>    history: write the export to a file instead of stdout
+                         generate-wallets: append the mnemonic entry to a file (e.g. pk.txt)
+  -n, --count <n>        generate-wallets: number of accounts to derive (default 10)
+  --path <path>          generate-wallets: base derivation path (default m/44'/60'/0'/0)
+
+Encrypted accounts (vault.json or keystores/*.json) are unlocked with the
+VAULT_PASSWORD environment variable, or a password prompt when it is not set.
+The funder key for "fund" is read from FUNDER_PRIVATE_KEY, then the encrypted
+funder.json keystore (unlocked with the vault password, or VAULT_PASSWORD when no
+vault is set up), then plaintext funder.txt (migrate-keys encrypts it into funder.json).
+
+Exit codes: 0 success, 1 one or more actions failed, 2 invalid usage, 3 no accounts loaded,
+4 network profile failed validation`);
+}
+
+function printCliResults(options, results) {
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+    return;
+  }
+  for (const result of results) {
+    const columns = [`Account ${result.account}`, result.address || "N/A"];
+    if (options.command === "balances") {
+      columns.push(`ETH ${result.eth}`, `WETH ${result.weth}`, `eXETH ${result.exeth}`);
+    } else {
+      columns.push(result.action, result.amount ?? "", result.token ?? "", result.status, result.hash || result.error || "");
+    }
+    console.log(columns.filter(column => column !== "").join("  "));
+  }
+}
+
+function promptHiddenInput(question) {
+  return new Promise((resolve, reject) => {
+    if (!process.stdin.isTTY) {
+      reject(new Error("No terminal available for the password prompt. Set VAULT_PASSWORD instead."));
+      return;
+    }
+    let input = "";
+    const finish = () => {
+      process.stdin.setRawMode(false);
+      process.stdin.pause();
+      process.stdin.removeListener("data", onData);
+      process.stderr.write("\n");
+    };
+    const onData = chunk => {
+      for (const char of chunk.toString("utf8")) {
+        if (char === "\r" || char === "\n") {
+          finish();
+          resolve(input);
+          return;
+        }
+        if (char === "\u0003") {
+          finish();
+          process.exit(130);
+        }
+        if (char === "\u007f" || char === "\b") {
+          input = input.slice(0, -1);
+        } else {
+          input += char;
+        }
+      }
+    };
+    process.stderr.write(question);
+    process.stdin.setRawMode(true);
+    process.stdin.resume();
+    process.stdin.on("data", onData);
+  });
+}
+
+function promptConfirmation(question) {
+  return new Promise((resolve, reject) => {
+    if (!process.stdin.isTTY) {
+      reject(new Error("No terminal available for the confirmation prompt. Pass --yes to skip it."));
+      return;
+    }
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    rl.on("SIGINT", () => {
+      rl.close();
+      resolve(false);
+    });
+    rl.question(question, answer => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+async function loadCliAccounts() {
+  if (!hasEncryptedAccounts()) {
+    loadAccounts();
+    return;
+  }
+  try {
+    const password = process.env.VAULT_PASSWORD ?? await promptHiddenInput("Vault password: ");
+    loadAccounts(password);
+    unlockFunderKeystore(password);
+  } catch (error) {
+    addLog(`Failed to load accounts: ${error.message}`, "error");
+    accounts = [];
+  }
+}
+
+function runGenerateWallets(options) {
+  const count = options.count === null ? 10 : Number(options.count);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_HD_ACCOUNTS) {
+    console.error(`Invalid count: ${options.count} (1-${MAX_HD_ACCOUNTS})`);
+    return 2;
+  }
+  const basePath = options.path || DEFAULT_HD_PATH;
+  const entry = { phrase: ethers.Mnemonic.fromEntropy(ethers.randomBytes(16)).phrase, spec: `${basePath}/0..${count - 1}` };
+  let derived;
+  try {
+    derived = deriveHdAccounts(entry.phrase, entry.spec);
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+  const line = `${entry.phrase} | ${entry.spec}`;
+  const addresses = derived.map(account => ({ path: account.path, address: new ethers.Wallet(account.privateKey).address }));
+
+  if (options.output) {
+    const prefix = fs.existsSync(options.output) && !fs.readFileSync(options.output, "utf8").endsWith("\n") ? "\n" : "";
+    fs.appendFileSync(options.output, `${prefix}${line}\n`, { mode: 0o600 });
+  }
+  if (options.json) {
+    console.log(JSON.stringify({ mnemonic: options.output ? null : entry.phrase, entry: options.output ? null : line, accounts: addresses }, null, 2));
+  } else {
+    if (options.output) {
+      console.log(`Mnemonic entry appended to ${options.output}`);
+    } else {
+      console.log(`Mnemonic: ${entry.phrase}`);
+      console.log(`Account entry for pk.txt: ${line}`);
+    }
+    console.log("");
+    addresses.forEach((account, index) => console.log(`${String(index + 1).padStart(4)}  ${account.path.padEnd(22)} ${account.address}`));
+  }
+  return 0;
+}
+
+async function runMigrateKeys() {
+  const migrateFunder = fs.existsSync(FUNDER_KEY_FILE) && !fs.existsSync(FUNDER_KEYSTORE_FILE);
+  if (fs.existsSync(VAULT_FILE)) {
+    if (migrateFunder) return runMigrateFunderKey();
+    console.error(`${VAULT_FILE} already exists. Move it away first if you want to create a new vault.`);
+    return 2;
+  }
+  if (!fs.existsSync("pk.txt")) {
+    console.error("pk.txt not found, nothing to migrate");
+    return 3;
+  }
+  const lines = fs.readFileSync("pk.txt", "utf8").split("\n").map(line => line.trim());
+  const entries = [];
+  for (const [index, line] of lines.entries()) {
+    if (!line) continue;
+    try {
+      if (line.includes(" ")) {
+        expandAccountEntries([line], "pk.txt");
+        entries.push(line);
+      } else {
+        entries.push(new ethers.Wallet(line).privateKey);
+      }
+    } catch (error) {
+      console.error(`Invalid account entry on line ${index + 1} of pk.txt`);
+      return 2;
+    }
+  }
+  if (entries.length === 0) {
+    console.error("No private keys found in pk.txt");
+    return 3;
+  }
+
+  let password;
+  try {
+    password = process.env.VAULT_PASSWORD;
+    if (password === undefined) {
+      password = await promptHiddenInput("New vault password: ");
+      if (password !== await promptHiddenInput("Repeat vault password: ")) {
+        console.error("Passwords do not match");
+        return 2;
+      }
+    }
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+  if (password.length < 8) {
+    console.error("Vault password must be at least 8 characters");
+    return 2;
+  }
+
+  const vault = encryptVault(entries, password);
+  const decrypted = decryptVault(vault, password);
+  if (decrypted.length !== entries.length || decrypted.some((entry, i) => entry !== entries[i])) {
+    console.error("Vault verification failed, nothing was written");
+    return 1;
+  }
+  fs.writeFileSync(VAULT_FILE, JSON.stringify(vault, null, 2), { mode: 0o600 });
+  console.log(`Encrypted ${entries.length} account entr${entries.length === 1 ? "y" : "ies"} into ${VAULT_FILE}. Start the bot once to confirm the vault unlocks, then delete pk.txt.`);
+  return migrateFunder ? writeFunderKeystore(password) : 0;
+}
+
+async function runMigrateFunderKey() {
+  let password;
+  try {
+    password = process.env.VAULT_PASSWORD ?? await promptHiddenInput("Vault password: ");
+    decryptVault(JSON.parse(fs.readFileSync(VAULT_FILE, "utf8")), password);
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+  return writeFunderKeystore(password);
+}
+
+function writeFunderKeystore(password) {
+  let funder;
+  try {
+    const key = fs.readFileSync(FUNDER_KEY_FILE, "utf8").split("\n").map(line => line.trim()).find(line => line) || "";
+    funder = new ethers.Wallet(key.startsWith("0x") ? key : `0x${key}`);
+  } catch (error) {
+    console.error(`Invalid funder key in ${FUNDER_KEY_FILE}, it was not encrypted`);
+    return 2;
+  }
+  fs.writeFileSync(FUNDER_KEYSTORE_FILE, funder.encryptSync(password), { mode: 0o600 });
+  console.log(`Encrypted the funder key into ${FUNDER_KEYSTORE_FILE}. Start the bot once to confirm it unlocks, then delete ${FUNDER_KEY_FILE}.`);
+  return 0;
+}
+
+async function runHistoryExport(options) {
+  const format = options.format || (options.json ? "json" : "csv");
+  if (!["csv", "json"].includes(format)) {
+    console.error(`Invalid format: ${format} (use csv or json)`);
+    return 2;
+  }
+  try {
+    if (options.wallet !== "all") {
+      await loadCliAccounts();
+      loadAccountSettings();
+    }
+    const filters = { wallets: resolveHistoryWallets(options.wallet), from: options.from, to: options.to };
+    if (options.output) {
+      const { filePath, count } = exportTransactionHistory({ ...filters, format, output: options.output });
+      addLog(`Exported ${count} transaction(s) to ${filePath}`, "success");
+    } else {
+      console.log(formatHistory(filterTransactionHistory(loadTransactionHistory(), filters), format));
+    }
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+  return 0;
+}
+
+async function runCli(options) {
+  if (options.command === "help") {
+    printCliUsage();
+    return 0;
+  }
+  if (!CLI_COMMANDS.includes(options.command) || options.unknown) {
+    console.error(`Unknown ${options.unknown ? "argument" : "command"}: ${options.unknown || options.command}`);
+    printCliUsage();
+    return 2;
+  }
+
+  if (options.command === "migrate-keys") return runMigrateKeys();
+  if (options.command === "generate-wallets") return runGenerateWallets(options);
+  loadConfig();
+  if (options.network) {
+    if (!getNetworkProfiles()[options.network]) {
+      console.error(`Unknown network profile: ${options.network} (available: ${Object.keys(getNetworkProfiles()).join(", ")})`);
+      return 2;
+    }
+    applyNetworkProfile(options.network);
+  }
+  if (options.command === "history") return runHistoryExport(options);
+  if (options.dryRun) dailyActivityConfig.dryRun = true;
+  if (options.concurrency !== undefined) {
+    const concurrency = Number(options.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      console.error(`Invalid --concurrency: ${options.concurrency}`);
+      return 2;
+    }
+    dailyActivityConfig.concurrency = concurrency;
+  }
+  await loadCliAccounts();
+  loadAccountSettings();
+  loadProxies();
+  if (accounts.length === 0) return 3;
+  await initRpcHealthChecks();
+  if (networkStatus === "invalid") return 4;
+  await initProxyHealthChecks();
+  loadNonceState();
+  loadClaimSchedule();
+
+  let accountIndexes;
+  try {
+    accountIndexes = selectAccountIndexes(options.wallet);
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+
+  let amount = null;
+  if (options.amount !== null) {
+    amount = parseFloat(options.amount);
+    if (isNaN(amount) || amount <= 0) {
+      console.error("Invalid amount. Please enter a positive number.");
+      return 2;
+    }
+  } else if (["wrap", "unwrap"].includes(options.command)) {
+    console.error(`--amount is required for ${options.command}`);
+    return 2;
+  }
+
+  process.on("SIGINT", () => {
+    if (shouldStop) process.exit(130);
+    shouldStop = true;
+    addLog("Stop requested, finishing the current transaction. Press Ctrl+C again to exit immediately.", "warn");
+  });
+
+  if (options.command === "run-daily") {
+    const interrupted = getResumableCycle();
+    if (options.resume && !interrupted) {
+      console.error(`No interrupted cycle to resume on ${networkProfile.name}`);
+      return 2;
+    }
+    if (interrupted && !options.resume) {
+      addLog(`Found interrupted ${describeCycle(interrupted)}. Starting a new cycle; use --resume to continue it instead.`, "warn");
+    }
+    const cycle = options.resume
+      ? await runDailyActivity(options.wallet === "all" ? null : accountIndexes, interrupted)
+      : await runDailyActivity(accountIndexes, null);
+    const { failures } = cycle;
+    const processed = cycle.accountIndexes || [];
+    if (options.json) {
+      console.log(JSON.stringify({ accounts: processed.map(i => i + 1), failures }, null, 2));
+    } else {
+      console.log(`Daily cycle finished for ${processed.length} account(s) with ${failures} failure(s)`);
+    }
+    return failures > 0 ? 1 : 0;
+  }
+
+  if (options.command === "fund") {
+    let results;
+    try {
+      results = await distributeGas(accountIndexes);
+    } catch (error) {
+      console.error(error.message);
+      return 1;
+    }
+    printCliResults(options, results);
+    return results.some(result => result.error) ? 1 : 0;
+  }
+
+  if (options.command === "sweep") {
+    if (!options.target || !ethers.isAddress(options.target)) {
+      console.error("sweep requires --target <address>");
+      return 2;
+    }
+    const target = ethers.getAddress(options.target);
+    let plan;
+    try {
+      plan = await planSweep(accountIndexes, target);
+    } catch (error) {
+      console.error(`Failed to read balances: ${error.message}`);
+      return 1;
+    }
+    console.error(formatSweepSummary(plan, target).join("\n"));
+    if (!options.yes && !dailyActivityConfig.dryRun) {
+      let confirmed;
+      try {
+        confirmed = await promptConfirmation("Send these transfers? [y/N] ");
+      } catch (error) {
+        console.error(error.message);
+        return 2;
+      }
+      if (!confirmed) {
+        console.error("Sweep cancelled.");
+        return 1;
+      }
+    }
+    const results = await runSweep(plan, target);
+    printCliResults(options, results);
+    return results.some(result => result.error) ? 1 : 0;
+  }
+
+  const results = [];
+  const direction = directions[0];
+  for (const i of accountIndexes) {
+    if (shouldStop) break;
+    const proxyUrl = getAccountProxy(i);
+    if (options.command === "balances") {
+      try {
+        results.push({ account: i + 1, ...(await fetchWalletBalances(accounts[i], i)) });
+      } catch (error) {
+        results.push({ account: i + 1, address: null, eth: null, weth: null, exeth: null, error: error.message });
+      }
+      continue;
+    }
+
+    const result = { account: i + 1, address: null, action: options.command, amount: null, status: "failed", hash: null, error: null };
+    try {
+      const wallet = new ethers.Wallet(accounts[i].privateKey);
+      result.address = wallet.address;
+      assertActionEnabled(i, options.command);
+      let receipt;
+      switch (options.command) {
+        case "stake":
+          result.amount = amount !== null ? formatAmount(amount) : await pickActionAmount("stake", i, proxyUrl);
+          receipt = await performStake(wallet, direction, result.amount, proxyUrl);
+          break;
+        case "unstake":
+          result.amount = amount !== null ? formatAmount(amount) : await pickActionAmount("unstake", i, proxyUrl);
+          receipt = await performUnstake(wallet, direction, result.amount, proxyUrl);
+          break;
+        case "claim":
+          await performClaim(wallet, direction, proxyUrl);
+          break;
+        case "wrap":
+          result.amount = formatAmount(amount);
+          receipt = await performWrap(wallet, direction, result.amount, proxyUrl);
+          break;
+        case "unwrap":
+          result.amount = formatAmount(amount);
+          receipt = await performUnwrap(wallet, direction, result.amount, proxyUrl);
+          break;
+      }
+      result.status = dailyActivityConfig.dryRun ? "simulated" : "success";
+      result.hash = receipt?.hash || null;
+    } catch (error) {
+      if (error.kind === "skipped") result.status = "skipped";
+      result.error = error.message;
     }
-    nonceTracker = {};
+    results.push(result);
   }
+
+  printCliResults(options, results);
+  return results.some(result => result.error && result.status !== "skipped") ? 1 : 0;
+}
+
+if (isHeadless) {
+  process.exit(await runCli(cliOptions));
 }
 
 const screen = blessed.screen({
@@ -979,12 +3731,30 @@ const walletBox = blessed.list({
   content: "Loading wallet data..."
 });
 
+const withdrawBox = blessed.list({
+  label: " Withdraw Requests",
+  top: 9,
+  left: "41%",
+  width: "59%",
+  height: "35%",
+  border: { type: "line", fg: "cyan" },
+  style: { border: { fg: "cyan" }, fg: "white", bg: "default", item: { fg: "white" } },
+  scrollable: true,
+  scrollbar: { bg: "cyan", fg: "black" },
+  padding: { left: 1, right: 1, top: 0, bottom: 0 },
+  tags: true,
+  keys: true,
+  vi: true,
+  mouse: true,
+  content: "Loading withdraw requests..."
+});
+
 const logBox = blessed.log({
   label: " Transaction Logs",
-  top: 9,
+  top: "44%",
   left: "41%",
   width: "59%",
-  height: "100%-9",
+  height: "56%",
   border: { type: "line" },
   scrollable: true,
   alwaysScroll: true,
@@ -1012,8 +3782,8 @@ const menuBox = blessed.list({
   border: { type: "line" },
   style: { fg: "white", bg: "default", border: { fg: "red" }, selected: { bg: "magenta", fg: "black" }, item: { fg: "white" } },
   items: isCycleRunning
-    ? ["Stop Activity", "Set Manual Config", "Auto Swap ETH & WETH", "Clear Logs", "Refresh", "Exit"]
-    : ["Start Auto Daily Activity", "Set Manual Config", "Auto Swap ETH & WETH", "Clear Logs", "Refresh", "Exit"],
+    ? ["Stop Activity", "Set Manual Config", "Auto Swap ETH & WETH", "Wallet Tools", "Export Transaction History", "Clear Logs", "Refresh", "Exit"]
+    : ["Start Auto Daily Activity", "Set Manual Config", "Auto Swap ETH & WETH", "Wallet Tools", "Export Transaction History", "Clear Logs", "Refresh", "Exit"],
   padding: { left: 1, top: 1 }
 });
 
@@ -1040,7 +3810,18 @@ const dailyActivitySubMenu = blessed.list({
     "Set Claim Repetitions",
     "Set WETH Stake Range",
     "Set eXETH Unstake Range",
+    "Cycle Stake Amount Strategy",
+    "Cycle Unstake Amount Strategy",
+    "Set Amount Decimals",
+    "Set Gas Reserve",
+    "Toggle Auto Wrap",
     "Set Loop Daily",
+    "Set Concurrency",
+    "Toggle Dry Run Mode",
+    "Cycle Target Group",
+    "Switch Network Profile",
+    "Set Gas Funding Threshold/Target",
+    "Toggle Auto Gas Funding",
     "Back to Main Menu"
   ],
   padding: { left: 1, top: 1 },
@@ -1073,12 +3854,231 @@ const swapSubMenu = blessed.list({
   hidden: true
 });
 
-const amountForm = blessed.form({
-  label: " Enter Amount ",
+const toolsSubMenu = blessed.list({
+  label: " Wallet Tools ",
+  top: "44%",
+  left: 0,
+  width: "40%",
+  height: "56%",
+  keys: true,
+  vi: true,
+  mouse: true,
+  border: { type: "line" },
+  style: {
+    fg: "white",
+    bg: "default",
+    border: { fg: "green" },
+    selected: { bg: "green", fg: "black" },
+    item: { fg: "white" }
+  },
+  items: [
+    "Distribute Gas from Funder",
+    "Sweep Funds to Address",
+    "Back to Main Menu"
+  ],
+  padding: { left: 1, top: 1 },
+  hidden: true
+});
+
+const historySubMenu = blessed.list({
+  label: " Transaction History Export ",
+  top: "44%",
+  left: 0,
+  width: "40%",
+  height: "56%",
+  keys: true,
+  vi: true,
+  mouse: true,
+  border: { type: "line" },
+  style: {
+    fg: "white",
+    bg: "default",
+    border: { fg: "cyan" },
+    selected: { bg: "cyan", fg: "black" },
+    item: { fg: "white" }
+  },
+  items: [
+    "Export as CSV",
+    "Export as JSON",
+    "Back to Main Menu"
+  ],
+  padding: { left: 1, top: 1 },
+  hidden: true
+});
+
+const resumeMenu = blessed.list({
+  label: " Interrupted Cycle Found ",
+  top: "44%",
+  left: 0,
+  width: "40%",
+  height: "56%",
+  keys: true,
+  vi: true,
+  mouse: true,
+  border: { type: "line" },
+  style: {
+    fg: "white",
+    bg: "default",
+    border: { fg: "yellow" },
+    selected: { bg: "yellow", fg: "black" },
+    item: { fg: "white" }
+  },
+  items: [
+    "Resume Interrupted Cycle",
+    "Discard Interrupted Cycle"
+  ],
+  padding: { left: 1, top: 1 },
+  hidden: true
+});
+
+const amountForm = blessed.form({
+  label: " Enter Amount ",
+  top: "center",
+  left: "center",
+  width: "30%",
+  height: "40%",
+  keys: true,
+  mouse: true,
+  border: { type: "line" },
+  style: {
+    fg: "white",
+    bg: "default",
+    border: { fg: "blue" }
+  },
+  padding: { left: 1, top: 1 },
+  hidden: true
+});
+
+const amountInput = blessed.textbox({
+  parent: amountForm,
+  top: 1,
+  left: 1,
+  width: "90%",
+  height: 3,
+  inputOnFocus: true,
+  border: { type: "line" },
+  style: {
+    fg: "white",
+    bg: "default",
+    border: { fg: "white" },
+    focus: { border: { fg: "green" } }
+  }
+});
+
+const amountSubmitButton = blessed.button({
+  parent: amountForm,
+  top: 5,
+  left: "center",
+  width: 10,
+  height: 3,
+  content: "Submit",
+  align: "center",
+  border: { type: "line" },
+  clickable: true,
+  keys: true,
+  mouse: true,
+  style: {
+    fg: "white",
+    bg: "blue",
+    border: { fg: "white" },
+    hover: { bg: "green" },
+    focus: { bg: "green", border: { fg: "yellow" } }
+  }
+});
+
+const configForm = blessed.form({
+  label: " Enter Config Value ",
+  top: "center",
+  left: "center",
+  width: "30%",
+  height: "40%",
+  keys: true,
+  mouse: true,
+  border: { type: "line" },
+  style: {
+    fg: "white",
+    bg: "default",
+    border: { fg: "blue" }
+  },
+  padding: { left: 1, top: 1 },
+  hidden: true
+});
+
+const minLabel = blessed.text({
+  parent: configForm,
+  top: 0,
+  left: 1,
+  content: "Min Value:",
+  style: { fg: "white" }
+});
+
+const maxLabel = blessed.text({
+  parent: configForm,
+  top: 4,
+  left: 1,
+  content: "Max Value:",
+  style: { fg: "white" }
+});
+
+const configInput = blessed.textbox({
+  parent: configForm,
+  top: 1,
+  left: 1,
+  width: "90%",
+  height: 3,
+  inputOnFocus: true,
+  border: { type: "line" },
+  style: {
+    fg: "white",
+    bg: "default",
+    border: { fg: "white" },
+    focus: { border: { fg: "green" } }
+  }
+});
+
+const configInputMax = blessed.textbox({
+  parent: configForm,
+  top: 5,
+  left: 1,
+  width: "90%",
+  height: 3,
+  inputOnFocus: true,
+  border: { type: "line" },
+  style: {
+    fg: "white",
+    bg: "default",
+    border: { fg: "white" },
+    focus: { border: { fg: "green" } }
+  }
+});
+
+const configSubmitButton = blessed.button({
+  parent: configForm,
+  top: 9,
+  left: "center",
+  width: 10,
+  height: 3,
+  content: "Submit",
+  align: "center",
+  border: { type: "line" },
+  clickable: true,
+  keys: true,
+  mouse: true,
+  style: {
+    fg: "white",
+    bg: "blue",
+    border: { fg: "white" },
+    hover: { bg: "green" },
+    focus: { bg: "green", border: { fg: "yellow" } }
+  }
+});
+
+const historyForm = blessed.form({
+  label: " Export Filters ",
   top: "center",
   left: "center",
   width: "30%",
-  height: "40%",
+  height: "60%",
   keys: true,
   mouse: true,
   border: { type: "line" },
@@ -1091,8 +4091,32 @@ const amountForm = blessed.form({
   hidden: true
 });
 
-const amountInput = blessed.textbox({
-  parent: amountForm,
+const historyWalletLabel = blessed.text({
+  parent: historyForm,
+  top: 0,
+  left: 1,
+  content: "Wallets (all, 1,3,5-8 or addresses):",
+  style: { fg: "white" }
+});
+
+const historyFromLabel = blessed.text({
+  parent: historyForm,
+  top: 4,
+  left: 1,
+  content: "From (YYYY-MM-DD, empty = any):",
+  style: { fg: "white" }
+});
+
+const historyToLabel = blessed.text({
+  parent: historyForm,
+  top: 8,
+  left: 1,
+  content: "To (YYYY-MM-DD, empty = any):",
+  style: { fg: "white" }
+});
+
+const historyWalletInput = blessed.textbox({
+  parent: historyForm,
   top: 1,
   left: 1,
   width: "90%",
@@ -1107,13 +4131,45 @@ const amountInput = blessed.textbox({
   }
 });
 
-const amountSubmitButton = blessed.button({
-  parent: amountForm,
+const historyFromInput = blessed.textbox({
+  parent: historyForm,
   top: 5,
+  left: 1,
+  width: "90%",
+  height: 3,
+  inputOnFocus: true,
+  border: { type: "line" },
+  style: {
+    fg: "white",
+    bg: "default",
+    border: { fg: "white" },
+    focus: { border: { fg: "green" } }
+  }
+});
+
+const historyToInput = blessed.textbox({
+  parent: historyForm,
+  top: 9,
+  left: 1,
+  width: "90%",
+  height: 3,
+  inputOnFocus: true,
+  border: { type: "line" },
+  style: {
+    fg: "white",
+    bg: "default",
+    border: { fg: "white" },
+    focus: { border: { fg: "green" } }
+  }
+});
+
+const historySubmitButton = blessed.button({
+  parent: historyForm,
+  top: 13,
   left: "center",
   width: 10,
   height: 3,
-  content: "Submit",
+  content: "Export",
   align: "center",
   border: { type: "line" },
   clickable: true,
@@ -1128,8 +4184,8 @@ const amountSubmitButton = blessed.button({
   }
 });
 
-const configForm = blessed.form({
-  label: " Enter Config Value ",
+const sweepForm = blessed.form({
+  label: " Sweep Funds ",
   top: "center",
   left: "center",
   width: "30%",
@@ -1146,24 +4202,24 @@ const configForm = blessed.form({
   hidden: true
 });
 
-const minLabel = blessed.text({
-  parent: configForm,
+const sweepTargetLabel = blessed.text({
+  parent: sweepForm,
   top: 0,
   left: 1,
-  content: "Min Value:",
+  content: "Target address:",
   style: { fg: "white" }
 });
 
-const maxLabel = blessed.text({
-  parent: configForm,
+const sweepWalletLabel = blessed.text({
+  parent: sweepForm,
   top: 4,
   left: 1,
-  content: "Max Value:",
+  content: "Wallets (all, 1,3,5-8, addresses or group:name):",
   style: { fg: "white" }
 });
 
-const configInput = blessed.textbox({
-  parent: configForm,
+const sweepTargetInput = blessed.textbox({
+  parent: sweepForm,
   top: 1,
   left: 1,
   width: "90%",
@@ -1178,8 +4234,8 @@ const configInput = blessed.textbox({
   }
 });
 
-const configInputMax = blessed.textbox({
-  parent: configForm,
+const sweepWalletInput = blessed.textbox({
+  parent: sweepForm,
   top: 5,
   left: 1,
   width: "90%",
@@ -1194,13 +4250,94 @@ const configInputMax = blessed.textbox({
   }
 });
 
-const configSubmitButton = blessed.button({
-  parent: configForm,
+const sweepSubmitButton = blessed.button({
+  parent: sweepForm,
   top: 9,
   left: "center",
   width: 10,
   height: 3,
-  content: "Submit",
+  content: "Review",
+  align: "center",
+  border: { type: "line" },
+  clickable: true,
+  keys: true,
+  mouse: true,
+  style: {
+    fg: "white",
+    bg: "blue",
+    border: { fg: "white" },
+    hover: { bg: "green" },
+    focus: { bg: "green", border: { fg: "yellow" } }
+  }
+});
+
+const confirmBox = blessed.box({
+  label: " Confirm ",
+  top: "center",
+  left: "center",
+  width: "50%",
+  height: 13,
+  keys: true,
+  border: { type: "line" },
+  style: {
+    fg: "white",
+    bg: "default",
+    border: { fg: "red" }
+  },
+  padding: { left: 1, top: 1 },
+  hidden: true
+});
+
+const passwordForm = blessed.form({
+  label: " Unlock Wallet Vault ",
+  top: "center",
+  left: "center",
+  width: "30%",
+  height: 12,
+  keys: true,
+  mouse: true,
+  border: { type: "line" },
+  style: {
+    fg: "white",
+    bg: "default",
+    border: { fg: "yellow" }
+  },
+  padding: { left: 1, top: 1 },
+  hidden: true
+});
+
+const passwordLabel = blessed.text({
+  parent: passwordForm,
+  top: 0,
+  left: 1,
+  content: "Password:",
+  style: { fg: "white" }
+});
+
+const passwordInput = blessed.textbox({
+  parent: passwordForm,
+  top: 1,
+  left: 1,
+  width: "90%",
+  height: 3,
+  inputOnFocus: true,
+  censor: true,
+  border: { type: "line" },
+  style: {
+    fg: "white",
+    bg: "default",
+    border: { fg: "white" },
+    focus: { border: { fg: "green" } }
+  }
+});
+
+const passwordSubmitButton = blessed.button({
+  parent: passwordForm,
+  top: 5,
+  left: "center",
+  width: 10,
+  height: 3,
+  content: "Unlock",
   align: "center",
   border: { type: "line" },
   clickable: true,
@@ -1218,16 +4355,25 @@ const configSubmitButton = blessed.button({
 screen.append(headerBox);
 screen.append(statusBox);
 screen.append(walletBox);
+screen.append(withdrawBox);
 screen.append(logBox);
 screen.append(menuBox);
 screen.append(dailyActivitySubMenu);
 screen.append(swapSubMenu);
+screen.append(toolsSubMenu);
+screen.append(historySubMenu);
+screen.append(resumeMenu);
 screen.append(amountForm);
 screen.append(configForm);
+screen.append(historyForm);
+screen.append(sweepForm);
+screen.append(confirmBox);
+screen.append(passwordForm);
 
 let renderQueue = [];
 let isRendering = false;
 function safeRender() {
+  if (isHeadless) return;
   renderQueue.push(true);
   if (isRendering) return;
   isRendering = true;
@@ -1259,10 +4405,14 @@ function adjustLayout() {
   walletBox.top = headerBox.height + statusBox.height;
   walletBox.width = Math.floor(screenWidth * 0.4);
   walletBox.height = Math.floor(screenHeight * 0.35);
-  logBox.top = headerBox.height + statusBox.height;
+  withdrawBox.top = headerBox.height + statusBox.height;
+  withdrawBox.left = Math.floor(screenWidth * 0.41);
+  withdrawBox.width = screenWidth - walletBox.width - 2;
+  withdrawBox.height = walletBox.height;
+  logBox.top = headerBox.height + statusBox.height + withdrawBox.height;
   logBox.left = Math.floor(screenWidth * 0.41);
   logBox.width = screenWidth - walletBox.width - 2;
-  logBox.height = screenHeight - (headerBox.height + statusBox.height);
+  logBox.height = screenHeight - (headerBox.height + statusBox.height + withdrawBox.height);
   menuBox.top = headerBox.height + statusBox.height + walletBox.height;
   menuBox.width = Math.floor(screenWidth * 0.4);
   menuBox.height = screenHeight - (headerBox.height + statusBox.height + walletBox.height);
@@ -1276,16 +4426,93 @@ function adjustLayout() {
     swapSubMenu.width = menuBox.width;
     swapSubMenu.height = menuBox.height;
     swapSubMenu.left = menuBox.left;
+    toolsSubMenu.top = menuBox.top;
+    toolsSubMenu.width = menuBox.width;
+    toolsSubMenu.height = menuBox.height;
+    toolsSubMenu.left = menuBox.left;
+    historySubMenu.top = menuBox.top;
+    historySubMenu.width = menuBox.width;
+    historySubMenu.height = menuBox.height;
+    historySubMenu.left = menuBox.left;
+    resumeMenu.top = menuBox.top;
+    resumeMenu.width = menuBox.width;
+    resumeMenu.height = menuBox.height;
+    resumeMenu.left = menuBox.left;
     configForm.width = Math.floor(screenWidth * 0.3);
     configForm.height = Math.floor(screenHeight * 0.4);
     amountForm.width = Math.floor(screenWidth * 0.3);
     amountForm.height = Math.floor(screenHeight * 0.4);
+    historyForm.width = Math.floor(screenWidth * 0.3);
+    historyForm.height = Math.max(21, Math.floor(screenHeight * 0.6));
+    sweepForm.width = Math.floor(screenWidth * 0.3);
+    sweepForm.height = Math.max(17, Math.floor(screenHeight * 0.4));
+    passwordForm.width = Math.floor(screenWidth * 0.3);
   }
 
   safeRender();
 }
 
+function formatNetworkProfile() {
+  const color = networkStatus === "valid" ? chalk.green : networkStatus === "invalid" ? chalk.red : chalk.gray;
+  return color(`${networkProfile.name} (${networkProfile.chainId})`);
+}
+
+async function switchNetworkProfile() {
+  if (isCycleRunning || claimsInProgress.size > 0) {
+    addLog("Cannot switch network profile while transactions are running.", "error");
+    return;
+  }
+  const names = Object.keys(getNetworkProfiles());
+  if (names.length === 1) {
+    addLog(`Only one network profile is configured. Add more under "networks" in ${CONFIG_FILE}.`, "info");
+    return;
+  }
+  const next = names[(names.indexOf(networkProfile.name) + 1) % names.length];
+  try {
+    applyNetworkProfile(next);
+  } catch (error) {
+    addLog(`Failed to switch to network profile ${next}: ${error.message}`, "error");
+    return;
+  }
+  for (const jobKey of Object.keys(claimTimers)) clearClaimTimer(jobKey);
+  saveConfig();
+  addLog(`Switched network profile to ${next} (chain id ${networkProfile.chainId})`, "success");
+  updateStatus();
+  await initRpcHealthChecks();
+  if (networkStatus === "invalid") return;
+  await updateWallets();
+  await initNonceManager();
+  await initClaimScheduler();
+}
+
+function formatProxyHealth(proxyUrl) {
+  if (!proxyUrl) return chalk.gray("direct");
+  const entry = proxyHealth[proxyUrl];
+  if (!entry || entry.healthy === null) return chalk.gray("unchecked");
+  return entry.healthy ? chalk.green(`up ${entry.latencyMs}ms`) : chalk.red("down");
+}
+
+function formatProxySummary() {
+  const pool = getProxyPool();
+  if (pool.length === 0) return "";
+  const healthy = pool.filter(proxyUrl => proxyHealth[proxyUrl]?.healthy).length;
+  const color = healthy === pool.length ? chalk.green : healthy === 0 ? chalk.red : chalk.yellow;
+  return ` Proxies: ${color(`${healthy}/${pool.length} up`)} |`;
+}
+
+function formatActiveRpc() {
+  const endpoint = rpcEndpoints[activeRpcIndex];
+  if (!endpoint) return "N/A";
+  const health = endpoint.checkedAt === null
+    ? chalk.gray("unchecked")
+    : endpoint.healthy
+    ? chalk.green(`healthy ${endpoint.latencyMs}ms`)
+    : chalk.red("unhealthy");
+  return `${getRpcHost(endpoint.url)} (${health}${rpcEndpoints.length > 1 ? `, ${rpcEndpoints.filter(e => e.healthy).length}/${rpcEndpoints.length} up` : ""})`;
+}
+
 function updateStatus() {
+  if (isHeadless) return;
   try {
     const isProcessing = activityRunning || (isCycleRunning && dailyActivityInterval !== null);
     const status = activityRunning
@@ -1293,7 +4520,7 @@ function updateStatus() {
       : isCycleRunning && dailyActivityInterval !== null
       ? `${loadingSpinner[spinnerIndex]} ${chalk.yellowBright("Waiting for next cycle")}`
       : chalk.green("Idle");
-    const statusText = `Status: ${status} | Active Account: ${getShortAddress(walletInfo.address)} | Total Accounts: ${accounts.length} | Auto Stake: ${dailyActivityConfig.stakeRepetitions}x | Auto Unstake: ${dailyActivityConfig.unstakeRepetitions}x | Auto Claim: ${dailyActivityConfig.claimRepetitions}x | Loop: ${dailyActivityConfig.loopHours}h | EKOX TESTNET AUTO BOT`;
+    const statusText = `Status: ${status} | Active Account: ${getShortAddress(walletInfo.address)} | Total Accounts: ${accounts.length} | Group: ${dailyActivityConfig.targetGroup || "all"} | Auto Stake: ${dailyActivityConfig.stakeRepetitions}x | Auto Unstake: ${dailyActivityConfig.unstakeRepetitions}x | Auto Claim: ${dailyActivityConfig.claimRepetitions}x | Scheduled Claims: ${Object.values(claimSchedule).filter(job => !job.gaveUp).length} | Network: ${formatNetworkProfile()} | RPC: ${formatActiveRpc()} |${formatProxySummary()} Loop: ${dailyActivityConfig.loopHours}h | Next Run: ${nextCycleAt ? formatScheduleTime(nextCycleAt) : "-"}${dailyActivityConfig.dryRun ? ` | ${chalk.yellowBright("DRY RUN")}` : ""} | EKOX TESTNET AUTO BOT`;
     statusBox.setContent(statusText);
     if (isProcessing) {
       if (blinkCounter % 1 === 0) {
@@ -1312,16 +4539,111 @@ function updateStatus() {
 }
 
 async function updateWallets() {
+  if (isHeadless) return;
   try {
-    const walletData = await updateWalletData();
-    const header = `${chalk.bold.cyan("  Address").padEnd(20)}               ${chalk.bold.cyan("ETH".padEnd(12))} ${chalk.bold.green("WETH".padEnd(12))} ${chalk.bold.yellow("eXETH".padEnd(12))}`;
-    const separator = chalk.gray("-".repeat(80));
-    walletBox.setItems([header, separator, ...walletData]);
-    walletBox.select(0);
-    safeRender();
+    walletEntries = await updateWalletData();
+    renderWalletEntries();
   } catch (error) {
     addLog(`Failed to update wallet data: ${error.message}`, "error");
   }
+  await updateWithdrawRequests();
+}
+
+async function updateWallet(accountIndex) {
+  if (isHeadless) return;
+  if (walletEntries.length !== accounts.length || withdrawRequestData.length !== accounts.length) {
+    await updateWallets();
+    return;
+  }
+  try {
+    walletEntries[accountIndex] = await fetchWalletEntry(accountIndex);
+    renderWalletEntries();
+    withdrawRequestData[accountIndex] = await fetchWithdrawRequestEntry(accountIndex);
+    renderWithdrawRequests();
+  } catch (error) {
+    addLog(`Failed to update wallet data for account #${accountIndex + 1}: ${error.message}`, "error");
+  }
+}
+
+function renderWalletEntries() {
+  const header = `${chalk.bold.cyan("  Wallet".padEnd(28))} ${chalk.bold.cyan("ETH".padEnd(12))} ${chalk.bold.green("WETH".padEnd(12))} ${chalk.bold.yellow("eXETH".padEnd(12))} ${chalk.bold.white("Proxy")}`;
+  const separator = chalk.gray("-".repeat(80));
+  walletBox.setItems([header, separator, ...walletEntries]);
+  walletBox.select(0);
+  safeRender();
+}
+
+async function fetchWithdrawRequestEntry(i) {
+  const direction = directions[0];
+  let address = null;
+  try {
+    const proxyUrl = getAccountProxy(i);
+    const provider = getProvider(direction.rpc, direction.chainId, proxyUrl);
+    address = new ethers.Wallet(accounts[i].privateKey).address;
+    const contract = new ethers.Contract(networkProfile.contracts.claim, CLAIM_ABI, provider);
+    const requests = await getWithdrawRequests(contract, address);
+    const coolDown = await contract.coolDownPeriod();
+    const latestBlock = await provider.getBlock('latest');
+    const chainTimeOffset = latestBlock.timestamp - Math.floor(Date.now() / 1000);
+    return { accountIndex: i, address, requests, coolDown, chainTimeOffset };
+  } catch (error) {
+    addLog(`Failed to fetch withdraw requests for account #${i + 1}: ${error.message}`, "error");
+    return { accountIndex: i, address, requests: [], coolDown: 0n, chainTimeOffset: 0, error: error.message };
+  }
+}
+
+async function updateWithdrawRequestData() {
+  return Promise.all(accounts.map((_, i) => fetchWithdrawRequestEntry(i)));
+}
+
+async function updateWithdrawRequests() {
+  try {
+    withdrawRequestData = await updateWithdrawRequestData();
+    renderWithdrawRequests();
+  } catch (error) {
+    addLog(`Failed to update withdraw requests: ${error.message}`, "error");
+  }
+}
+
+function formatCountdown(seconds) {
+  if (seconds <= 0) return "now";
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : minutes > 0 ? `${minutes}m` : `${seconds}s`;
+}
+
+function renderWithdrawRequests() {
+  try {
+    const header = `${chalk.bold.cyan("  Account".padEnd(22))} ${chalk.bold.cyan("#".padEnd(4))} ${chalk.bold.cyan("Token".padEnd(7))} ${chalk.bold.green("Redeem".padEnd(10))} ${chalk.bold.yellow("eXETH".padEnd(10))} ${chalk.bold.cyan("Created".padEnd(20))} ${chalk.bold.cyan("Status")}`;
+    const separator = chalk.gray("-".repeat(100));
+    const rows = [];
+    for (const entry of withdrawRequestData) {
+      const accountLabel = `Acc ${entry.accountIndex + 1} ${getShortAddress(entry.address)}`;
+      if (entry.error) {
+        rows.push(`  ${chalk.bold.magentaBright(accountLabel.padEnd(20))} ${chalk.redBright("Failed to load")}`);
+        continue;
+      }
+      if (entry.requests.length === 0) {
+        rows.push(`  ${chalk.bold.magentaBright(accountLabel.padEnd(20))} ${chalk.gray("No pending requests")}`);
+        continue;
+      }
+      const chainNow = Math.floor(Date.now() / 1000) + entry.chainTimeOffset;
+      for (const request of entry.requests) {
+        const remaining = Number(request.createdAt + entry.coolDown) - chainNow;
+        const createdAt = new Date(Number(request.createdAt) * 1000).toLocaleString("id-ID", { timeZone: "Asia/Jakarta" });
+        const status = remaining <= 0
+          ? chalk.greenBright("claimable now")
+          : chalk.yellowBright(`claimable in ${formatCountdown(remaining)}`);
+        rows.push(`  ${chalk.bold.magentaBright(accountLabel.padEnd(20))} ${request.index.toString().padEnd(4)} ${getTokenSymbol(request.collateralToken).padEnd(7)} ${Number(ethers.formatEther(request.amountToRedeem)).toFixed(4).padEnd(10)} ${Number(ethers.formatEther(request.exETHLocked)).toFixed(4).padEnd(10)} ${createdAt.padEnd(20)} ${status}`);
+      }
+    }
+    const selected = withdrawBox.selected;
+    withdrawBox.setItems([header, separator, ...rows]);
+    withdrawBox.select(selected || 0);
+    safeRender();
+  } catch (error) {
+    addLog(`Withdraw request render failed: ${error.message}`, "error");
+  }
 }
 
 function updateLogs() {
@@ -1335,11 +4657,12 @@ function updateLogs() {
 }
 
 function updateMenu() {
+  if (isHeadless) return;
   try {
     menuBox.setItems(
       isCycleRunning
-        ? ["Stop Activity", "Set Manual Config", "Auto Swap ETH & WETH", "Clear Logs", "Refresh", "Exit"]
-        : ["Start Auto Daily Activity", "Set Manual Config", "Auto Swap ETH & WETH", "Clear Logs", "Refresh", "Exit"]
+        ? ["Stop Activity", "Set Manual Config", "Auto Swap ETH & WETH", "Wallet Tools", "Export Transaction History", "Clear Logs", "Refresh", "Exit"]
+        : ["Start Auto Daily Activity", "Set Manual Config", "Auto Swap ETH & WETH", "Wallet Tools", "Export Transaction History", "Clear Logs", "Refresh", "Exit"]
     );
     safeRender();
   } catch (error) {
@@ -1348,6 +4671,7 @@ function updateMenu() {
 }
 
 const statusInterval = setInterval(updateStatus, 100);
+const withdrawCountdownInterval = setInterval(renderWithdrawRequests, 1000);
 
 logBox.key(["up"], () => {
   if (screen.focused === logBox) {
@@ -1369,6 +4693,8 @@ logBox.on("click", () => {
   menuBox.style.border.fg = "red";
   dailyActivitySubMenu.style.border.fg = "blue";
   swapSubMenu.style.border.fg = "green";
+  toolsSubMenu.style.border.fg = "green";
+  historySubMenu.style.border.fg = "cyan";
   safeRender();
 });
 
@@ -1383,6 +4709,10 @@ menuBox.on("select", async (item) => {
     case "Start Auto Daily Activity":
       if (isCycleRunning) {
         addLog("Cycle is still running. Stop the current cycle first.", "error");
+      } else if (hasSchedule() && !isWithinScheduleWindow()) {
+        scheduleNextCycle();
+        addLog(`Schedule active. First cycle at ${formatScheduleTime(nextCycleAt)}.`, "success");
+        updateMenu();
       } else {
         await runDailyActivity();
       }
@@ -1392,6 +4722,7 @@ menuBox.on("select", async (item) => {
       if (dailyActivityInterval) {
         clearTimeout(dailyActivityInterval);
         dailyActivityInterval = null;
+        nextCycleAt = null;
         addLog("Cleared daily activity interval.", "info");
       }
       addLog("Stopping daily activity. Please wait for ongoing process to complete.", "info");
@@ -1407,7 +4738,9 @@ menuBox.on("select", async (item) => {
         safeRender();
       } else {
         const stopCheckInterval = setInterval(() => {
-          if (activeProcesses <= 0) {
+          if (!shouldStop) {
+            clearInterval(stopCheckInterval);
+          } else if (activeProcesses <= 0) {
             clearInterval(stopCheckInterval);
             activityRunning = false;
             isCycleRunning = false;
@@ -1449,20 +4782,46 @@ menuBox.on("select", async (item) => {
         }
       }, 100);
       break;
+    case "Wallet Tools":
+      menuBox.hide();
+      toolsSubMenu.show();
+      setTimeout(() => {
+        if (toolsSubMenu.visible) {
+          screen.focusPush(toolsSubMenu);
+          toolsSubMenu.style.border.fg = "yellow";
+          logBox.style.border.fg = "magenta";
+          safeRender();
+        }
+      }, 100);
+      break;
+    case "Export Transaction History":
+      menuBox.hide();
+      historySubMenu.show();
+      setTimeout(() => {
+        if (historySubMenu.visible) {
+          screen.focusPush(historySubMenu);
+          historySubMenu.style.border.fg = "yellow";
+          logBox.style.border.fg = "magenta";
+          safeRender();
+        }
+      }, 100);
+      break;
     case "Clear Logs":
       clearTransactionLogs();
       break;
     case "Refresh":
+      await checkProxyHealth();
       await updateWallets();
       addLog("Data refreshed.", "success");
       break;
     case "Exit":
       clearInterval(statusInterval);
+      clearInterval(withdrawCountdownInterval);
       process.exit(0);
   }
 });
 
-dailyActivitySubMenu.on("select", (item) => {
+dailyActivitySubMenu.on("select", async (item) => {
   const action = item.getText();
   switch (action) {
     case "Set Stake Repetitions":
@@ -1517,6 +4876,56 @@ dailyActivitySubMenu.on("select", (item) => {
       }, 100);
       break;
     case "Set WETH Stake Range":
+    case "Set eXETH Unstake Range":
+      if (dailyActivityConfig.amountStrategies[action === "Set WETH Stake Range" ? "stake" : "unstake"].strategy !== "fixed") {
+        const strategyAction = action === "Set WETH Stake Range" ? "stake" : "unstake";
+        const { strategy, percentRange, reserve } = dailyActivityConfig.amountStrategies[strategyAction];
+        const token = strategyAction === "stake" ? "WETH" : "eXETH";
+        if (strategy === "percent") {
+          configForm.configType = `${strategyAction}PercentRange`;
+          configForm.setLabel(` Enter ${token} ${strategyAction === "stake" ? "Stake" : "Unstake"} Range (% of Balance) `);
+          minLabel.show();
+          maxLabel.show();
+          configInput.setValue(percentRange.min.toString());
+          configInputMax.setValue(percentRange.max.toString());
+          configInputMax.show();
+        } else {
+          configForm.configType = `${strategyAction}Reserve`;
+          configForm.setLabel(` Enter ${token} to Keep (All But Reserve) `);
+          minLabel.hide();
+          maxLabel.hide();
+          configInput.setValue(reserve.toString());
+          configInputMax.setValue("");
+          configInputMax.hide();
+        }
+        configForm.show();
+        setTimeout(() => {
+          if (configForm.visible) {
+            screen.focusPush(configInput);
+            configInput.clearValue();
+            safeRender();
+          }
+        }, 100);
+        break;
+      }
+      if (action === "Set eXETH Unstake Range") {
+        configForm.configType = "exethUnstakeRange";
+        configForm.setLabel(" Enter eXETH Unstake Range ");
+        minLabel.show();
+        maxLabel.show();
+        configInput.setValue(dailyActivityConfig.exethUnstakeRange.min.toString());
+        configInputMax.setValue(dailyActivityConfig.exethUnstakeRange.max.toString());
+        configInputMax.show();
+        configForm.show();
+        setTimeout(() => {
+          if (configForm.visible) {
+            screen.focusPush(configInput);
+            configInput.clearValue();
+            safeRender();
+          }
+        }, 100);
+        break;
+      }
       configForm.configType = "wethStakeRange";
       configForm.setLabel(" Enter WETH Stake Range ");
       minLabel.show();
@@ -1533,14 +4942,81 @@ dailyActivitySubMenu.on("select", (item) => {
         }
       }, 100);
       break;
-    case "Set eXETH Unstake Range":
-      configForm.configType = "exethUnstakeRange";
-      configForm.setLabel(" Enter eXETH Unstake Range ");
-      minLabel.show();
-      maxLabel.show();
-      configInput.setValue(dailyActivityConfig.exethUnstakeRange.min.toString());
-      configInputMax.setValue(dailyActivityConfig.exethUnstakeRange.max.toString());
-      configInputMax.show();
+    case "Cycle Stake Amount Strategy":
+    case "Cycle Unstake Amount Strategy": {
+      const strategyAction = action === "Cycle Stake Amount Strategy" ? "stake" : "unstake";
+      const config = dailyActivityConfig.amountStrategies[strategyAction];
+      config.strategy = AMOUNT_STRATEGIES[(AMOUNT_STRATEGIES.indexOf(config.strategy) + 1) % AMOUNT_STRATEGIES.length];
+      addLog(`${strategyAction === "stake" ? "Stake" : "Unstake"} amount strategy set to ${config.strategy}: ${formatAmountStrategy(strategyAction)}`, "success");
+      saveConfig();
+      updateStatus();
+      break;
+    }
+    case "Set Amount Decimals":
+      configForm.configType = "amountDecimals";
+      configForm.setLabel(" Enter Amount Decimals (1-18) ");
+      minLabel.hide();
+      maxLabel.hide();
+      configInput.setValue(dailyActivityConfig.amountDecimals.toString());
+      configInputMax.setValue("");
+      configInputMax.hide();
+      configForm.show();
+      setTimeout(() => {
+        if (configForm.visible) {
+          screen.focusPush(configInput);
+          configInput.clearValue();
+          safeRender();
+        }
+      }, 100);
+      break;
+    case "Set Gas Reserve":
+      configForm.configType = "gasReserveEth";
+      configForm.setLabel(" Enter ETH Kept for Gas ");
+      minLabel.hide();
+      maxLabel.hide();
+      configInput.setValue(dailyActivityConfig.gasReserveEth.toString());
+      configInputMax.setValue("");
+      configInputMax.hide();
+      configForm.show();
+      setTimeout(() => {
+        if (configForm.visible) {
+          screen.focusPush(configInput);
+          configInput.clearValue();
+          safeRender();
+        }
+      }, 100);
+      break;
+    case "Toggle Auto Wrap":
+      dailyActivityConfig.autoWrap = !dailyActivityConfig.autoWrap;
+      addLog(`Auto wrap before stake ${dailyActivityConfig.autoWrap ? "enabled" : "disabled"}`, "success");
+      saveConfig();
+      updateStatus();
+      break;
+    case "Set Loop Daily":
+      configForm.configType = "loopHours";
+      configForm.setLabel(" Enter Loop Hours (Min 1 Hours) ");
+      minLabel.hide();
+      maxLabel.hide();
+      configInput.setValue(dailyActivityConfig.loopHours.toString());
+      configInputMax.setValue("");
+      configInputMax.hide();
+      configForm.show();
+      setTimeout(() => {
+        if (configForm.visible) {
+          screen.focusPush(configInput);
+          configInput.clearValue();
+          safeRender();
+        }
+      }, 100);
+      break;
+    case "Set Concurrency":
+      configForm.configType = "concurrency";
+      configForm.setLabel(" Enter Wallets Processed in Parallel (Min 1) ");
+      minLabel.hide();
+      maxLabel.hide();
+      configInput.setValue(dailyActivityConfig.concurrency.toString());
+      configInputMax.setValue("");
+      configInputMax.hide();
       configForm.show();
       setTimeout(() => {
         if (configForm.visible) {
@@ -1550,14 +5026,34 @@ dailyActivitySubMenu.on("select", (item) => {
         }
       }, 100);
       break;
-    case "Set Loop Daily":
-      configForm.configType = "loopHours";
-      configForm.setLabel(" Enter Loop Hours (Min 1 Hours) ");
-      minLabel.hide();
-      maxLabel.hide();
-      configInput.setValue(dailyActivityConfig.loopHours.toString());
-      configInputMax.setValue("");
-      configInputMax.hide();
+    case "Toggle Dry Run Mode":
+      dailyActivityConfig.dryRun = !dailyActivityConfig.dryRun;
+      addLog(`Dry run mode ${dailyActivityConfig.dryRun ? "enabled: transactions will only be simulated" : "disabled: transactions will be sent"}`, dailyActivityConfig.dryRun ? "warn" : "success");
+      saveConfig();
+      updateStatus();
+      break;
+    case "Cycle Target Group": {
+      const groups = ["", ...getAccountGroups()];
+      if (groups.length === 1) {
+        addLog(`No wallet groups defined in ${ACCOUNTS_FILE}. Targeting all wallets.`, "info");
+      }
+      dailyActivityConfig.targetGroup = groups[(groups.indexOf(dailyActivityConfig.targetGroup) + 1) % groups.length];
+      addLog(`Target group set to ${dailyActivityConfig.targetGroup ? `"${dailyActivityConfig.targetGroup}" (${getTargetAccountIndexes().length} wallets)` : "all wallets"}`, "success");
+      saveConfig();
+      updateStatus();
+      break;
+    }
+    case "Switch Network Profile":
+      await switchNetworkProfile();
+      break;
+    case "Set Gas Funding Threshold/Target":
+      configForm.configType = "gasFunding";
+      configForm.setLabel(" Enter Gas Funding Threshold/Target (ETH) ");
+      minLabel.show();
+      maxLabel.show();
+      configInput.setValue(dailyActivityConfig.gasFunding.thresholdEth.toString());
+      configInputMax.setValue(dailyActivityConfig.gasFunding.targetEth.toString());
+      configInputMax.show();
       configForm.show();
       setTimeout(() => {
         if (configForm.visible) {
@@ -1567,6 +5063,12 @@ dailyActivitySubMenu.on("select", (item) => {
         }
       }, 100);
       break;
+    case "Toggle Auto Gas Funding":
+      dailyActivityConfig.gasFunding.autoBeforeCycle = !dailyActivityConfig.gasFunding.autoBeforeCycle;
+      addLog(`Auto gas funding before each cycle ${dailyActivityConfig.gasFunding.autoBeforeCycle ? "enabled" : "disabled"}`, "success");
+      saveConfig();
+      updateStatus();
+      break;
     case "Back to Main Menu":
       dailyActivitySubMenu.hide();
       menuBox.show();
@@ -1616,6 +5118,300 @@ swapSubMenu.on("select", async (item) => {
   }
 });
 
+toolsSubMenu.on("select", async (item) => {
+  const action = item.getText();
+  switch (action) {
+    case "Distribute Gas from Funder": {
+      let funding;
+      try {
+        funding = await prepareGasFunding(getTargetAccountIndexes());
+      } catch (error) {
+        addLog(`Gas funding failed: ${error.message}`, "error");
+        break;
+      }
+      if (funding.plan.length === 0) break;
+      toolsSubMenu.hide();
+      showConfirmDialog("Confirm Gas Funding", formatGasFundingSummary(funding), "Gas funding cancelled.", async () => {
+        try {
+          await distributeGas(undefined, funding);
+        } catch (error) {
+          addLog(`Gas funding failed: ${error.message}`, "error");
+        }
+      });
+      break;
+    }
+    case "Sweep Funds to Address":
+      if (activityRunning) {
+        addLog("Daily activity is running. Stop it before sweeping.", "error");
+        break;
+      }
+      sweepTargetInput.setValue(sweepForm.lastTarget || "");
+      sweepWalletInput.setValue(dailyActivityConfig.targetGroup ? `group:${dailyActivityConfig.targetGroup}` : "all");
+      toolsSubMenu.hide();
+      sweepForm.show();
+      setTimeout(() => {
+        if (sweepForm.visible) {
+          screen.focusPush(sweepTargetInput);
+          safeRender();
+        }
+      }, 100);
+      break;
+    case "Back to Main Menu":
+      toolsSubMenu.hide();
+      menuBox.show();
+      setTimeout(() => {
+        if (menuBox.visible) {
+          screen.focusPush(menuBox);
+          menuBox.style.border.fg = "cyan";
+          toolsSubMenu.style.border.fg = "green";
+          logBox.style.border.fg = "magenta";
+          safeRender();
+        }
+      }, 100);
+      break;
+  }
+});
+
+function armScheduleOnStartup() {
+  if (hasSchedule() && !isCycleRunning) {
+    scheduleNextCycle();
+    addLog(`Schedule active. Next cycle at ${formatScheduleTime(nextCycleAt)}.`, "success");
+    updateMenu();
+  }
+}
+
+function offerCycleResume(state) {
+  addLog(`Found interrupted ${describeCycle(state)}. Choose whether to resume it.`, "warn");
+  menuBox.hide();
+  resumeMenu.pendingCycle = state;
+  resumeMenu.show();
+  setTimeout(() => {
+    if (resumeMenu.visible) {
+      screen.focusPush(resumeMenu);
+      safeRender();
+    }
+  }, 100);
+}
+
+resumeMenu.on("select", async (item) => {
+  const state = resumeMenu.pendingCycle;
+  resumeMenu.pendingCycle = null;
+  resumeMenu.hide();
+  menuBox.show();
+  screen.focusPush(menuBox);
+  safeRender();
+  if (item.getText() === "Discard Interrupted Cycle") {
+    cycleState = null;
+    saveCycleState();
+    addLog(`Discarded interrupted cycle ${state.id}`, "info");
+    armScheduleOnStartup();
+    return;
+  }
+  if (activityRunning) {
+    addLog("A cycle is already running. Stop it before resuming.", "error");
+    return;
+  }
+  if (dailyActivityInterval) {
+    clearTimeout(dailyActivityInterval);
+    dailyActivityInterval = null;
+    nextCycleAt = null;
+  }
+  await runDailyActivity(null, state);
+});
+
+historySubMenu.on("select", (item) => {
+  const action = item.getText();
+  switch (action) {
+    case "Export as CSV":
+    case "Export as JSON":
+      historyForm.exportFormat = action.includes("CSV") ? "csv" : "json";
+      historyForm.setLabel(` Export Filters (${historyForm.exportFormat.toUpperCase()}) `);
+      historyWalletInput.setValue("all");
+      historyFromInput.setValue("");
+      historyToInput.setValue("");
+      historySubMenu.hide();
+      historyForm.show();
+      setTimeout(() => {
+        if (historyForm.visible) {
+          screen.focusPush(historyWalletInput);
+          safeRender();
+        }
+      }, 100);
+      break;
+    case "Back to Main Menu":
+      historySubMenu.hide();
+      menuBox.show();
+      setTimeout(() => {
+        if (menuBox.visible) {
+          screen.focusPush(menuBox);
+          menuBox.style.border.fg = "cyan";
+          historySubMenu.style.border.fg = "cyan";
+          logBox.style.border.fg = "magenta";
+          safeRender();
+        }
+      }, 100);
+      break;
+  }
+});
+
+historyForm.on("submit", () => {
+  try {
+    const { filePath, count } = exportTransactionHistory({
+      wallets: resolveHistoryWallets(historyWalletInput.getValue().trim()),
+      from: historyFromInput.getValue().trim() || null,
+      to: historyToInput.getValue().trim() || null,
+      format: historyForm.exportFormat
+    });
+    addLog(`Exported ${count} transaction(s) to ${filePath}`, "success");
+  } catch (error) {
+    addLog(`History export failed: ${error.message}`, "error");
+    screen.focusPush(historyWalletInput);
+    safeRender();
+    return;
+  }
+
+  historyForm.hide();
+  historySubMenu.show();
+  setTimeout(() => {
+    if (historySubMenu.visible) {
+      screen.focusPush(historySubMenu);
+      historySubMenu.style.border.fg = "yellow";
+      logBox.style.border.fg = "magenta";
+      safeRender();
+    }
+  }, 100);
+});
+
+historyWalletInput.key(["enter"], () => {
+  screen.focusPush(historyFromInput);
+});
+
+historyFromInput.key(["enter"], () => {
+  screen.focusPush(historyToInput);
+});
+
+historyToInput.key(["enter"], () => {
+  historyForm.submit();
+});
+
+historySubmitButton.on("press", () => {
+  historyForm.submit();
+});
+
+historySubmitButton.on("click", () => {
+  screen.focusPush(historySubmitButton);
+  historyForm.submit();
+});
+
+historyForm.key(["escape"], () => {
+  historyForm.hide();
+  historySubMenu.show();
+  setTimeout(() => {
+    if (historySubMenu.visible) {
+      screen.focusPush(historySubMenu);
+      historySubMenu.style.border.fg = "yellow";
+      logBox.style.border.fg = "magenta";
+      safeRender();
+    }
+  }, 100);
+});
+
+function closeToolsDialog() {
+  sweepForm.hide();
+  confirmBox.hide();
+  confirmBox.pending = null;
+  toolsSubMenu.show();
+  setTimeout(() => {
+    if (toolsSubMenu.visible) {
+      screen.focusPush(toolsSubMenu);
+      toolsSubMenu.style.border.fg = "yellow";
+      logBox.style.border.fg = "magenta";
+      safeRender();
+    }
+  }, 100);
+}
+
+sweepForm.on("submit", async () => {
+  const targetValue = sweepTargetInput.getValue().trim();
+  if (!ethers.isAddress(targetValue)) {
+    addLog("Invalid target address.", "error");
+    screen.focusPush(sweepTargetInput);
+    safeRender();
+    return;
+  }
+  const target = ethers.getAddress(targetValue);
+  let plan;
+  try {
+    const selection = sweepWalletInput.getValue().trim();
+    plan = await planSweep(selectAccountIndexes(selection || "all"), target);
+  } catch (error) {
+    addLog(`Sweep preparation failed: ${error.message}`, "error");
+    screen.focusPush(sweepWalletInput);
+    safeRender();
+    return;
+  }
+  sweepForm.lastTarget = target;
+  sweepForm.hide();
+  showConfirmDialog("Confirm Sweep", formatSweepSummary(plan, target), "Sweep cancelled.", async () => {
+    try {
+      await runSweep(plan, target);
+    } catch (error) {
+      addLog(`Sweep failed: ${error.message}`, "error");
+    }
+  });
+});
+
+function showConfirmDialog(label, lines, cancelMessage, onConfirm) {
+  confirmBox.setLabel(` ${label} `);
+  confirmBox.pending = { cancelMessage, onConfirm };
+  confirmBox.setContent([
+    ...lines,
+    ...(dailyActivityConfig.dryRun ? ["", "Dry run: transfers will only be simulated."] : []),
+    "",
+    "Press Y to send, N or Esc to cancel."
+  ].join("\n"));
+  confirmBox.show();
+  setTimeout(() => {
+    if (confirmBox.visible) {
+      screen.focusPush(confirmBox);
+      safeRender();
+    }
+  }, 100);
+}
+
+confirmBox.key(["y"], async () => {
+  const pending = confirmBox.pending;
+  if (!pending) return;
+  closeToolsDialog();
+  await pending.onConfirm();
+});
+
+confirmBox.key(["n", "escape"], () => {
+  addLog(confirmBox.pending?.cancelMessage || "Cancelled.", "info");
+  closeToolsDialog();
+});
+
+sweepTargetInput.key(["enter"], () => {
+  screen.focusPush(sweepWalletInput);
+});
+
+sweepWalletInput.key(["enter"], () => {
+  sweepForm.submit();
+});
+
+sweepSubmitButton.on("press", () => {
+  sweepForm.submit();
+});
+
+sweepSubmitButton.on("click", () => {
+  screen.focusPush(sweepSubmitButton);
+  sweepForm.submit();
+});
+
+sweepForm.key(["escape"], () => {
+  closeToolsDialog();
+});
+
 let isSubmitting = false;
 amountForm.on("submit", async () => {
   if (isSubmitting) return;
@@ -1654,27 +5450,35 @@ amountForm.on("submit", async () => {
   }, 100);
 
   // --- NEW LOGIC: Loop through all wallets ---
-  addLog(`Starting swap for ALL wallets with amount: ${amount}`, "info");
-  for (let i = 0; i < accounts.length; i++) {
+  const targetIndexes = getTargetAccountIndexes();
+  addLog(`Starting swap for ${dailyActivityConfig.targetGroup ? `group "${dailyActivityConfig.targetGroup}" (${targetIndexes.length} wallets)` : "ALL wallets"} with amount: ${amount}${dailyActivityConfig.dryRun ? " (dry run)" : ""}`, "info");
+  for (let position = 0; position < targetIndexes.length; position++) {
+      const i = targetIndexes[position];
       const account = accounts[i];
-      const proxyUrl = proxies[i % proxies.length] || null;
+      const proxyUrl = getAccountProxy(i);
       const wallet = new ethers.Wallet(account.privateKey);
       const direction = directions[0];
 
-      addLog(`Processing Wallet ${i + 1}/${accounts.length}: ${getShortAddress(wallet.address)}`, "wait");
+      try {
+          assertActionEnabled(i, amountForm.swapType);
+      } catch (error) {
+          addLog(`Skipping ${getAccountLabel(i)}: ${error.message}`, "info");
+          continue;
+      }
+      addLog(`Processing Wallet ${position + 1}/${targetIndexes.length}: ${getAccountLabel(i)}`, "wait");
 
       try {
           if (amountForm.swapType === "wrap") {
               addLog(`Swapping ${amount} ETH to WETH...`, "warn");
-              await performWrap(wallet, direction, amount.toFixed(4), proxyUrl);
+              await performWrap(wallet, direction, formatAmount(amount), proxyUrl);
           } else {
               addLog(`Swapping ${amount} WETH to ETH...`, "warn");
-              await performUnwrap(wallet, direction, amount.toFixed(4), proxyUrl);
+              await performUnwrap(wallet, direction, formatAmount(amount), proxyUrl);
           }
       } catch (error) {
-          addLog(`Swap failed for wallet ${getShortAddress(wallet.address)}: ${error.message}`, "error");
+          addLog(`Swap failed for wallet ${getAccountLabel(i)}: ${error.message}`, "error");
       } finally {
-          if (i < accounts.length - 1) {
+          if (position < targetIndexes.length - 1) {
               const delay = 5000; // 5 second delay between wallets
               addLog(`Waiting ${delay / 1000} seconds before next wallet...`, "delay");
               await sleep(delay);
@@ -1718,12 +5522,12 @@ configForm.on("submit", () => {
   const inputValue = configInput.getValue().trim();
   let value, maxValue;
   try {
-    if (configForm.configType === "loopHours" || configForm.configType === "stakeRepetitions" || configForm.configType === "unstakeRepetitions" || configForm.configType === "claimRepetitions") {
+    if (configForm.configType === "loopHours" || configForm.configType === "stakeRepetitions" || configForm.configType === "unstakeRepetitions" || configForm.configType === "claimRepetitions" || configForm.configType === "concurrency" || configForm.configType === "amountDecimals") {
       value = parseInt(inputValue);
     } else {
       value = parseFloat(inputValue);
     }
-    if (["wethStakeRange", "exethUnstakeRange"].includes(configForm.configType)) {
+    if (["wethStakeRange", "exethUnstakeRange", "gasFunding", "stakePercentRange", "unstakePercentRange"].includes(configForm.configType)) {
       maxValue = parseFloat(configInputMax.getValue().trim());
       if (isNaN(maxValue) || maxValue <= 0) {
         addLog("Invalid Max value. Please enter a positive number.", "error");
@@ -1734,7 +5538,7 @@ configForm.on("submit", () => {
         return;
       }
     }
-    if (isNaN(value) || value <= 0) {
+    if (isNaN(value) || value < 0 || (value === 0 && !["stakeReserve", "unstakeReserve"].includes(configForm.configType))) {
       addLog("Invalid input. Please enter a positive number.", "error");
       configInput.clearValue();
       screen.focusPush(configInput);
@@ -1742,6 +5546,22 @@ configForm.on("submit", () => {
       isSubmitting = false;
       return;
     }
+    if (configForm.configType.endsWith("PercentRange") && maxValue > 100) {
+      addLog("Invalid Max value. Maximum is 100%.", "error");
+      configInputMax.clearValue();
+      screen.focusPush(configInputMax);
+      safeRender();
+      isSubmitting = false;
+      return;
+    }
+    if (configForm.configType === "amountDecimals" && value > 18) {
+      addLog("Invalid input. Maximum is 18 decimals.", "error");
+      configInput.clearValue();
+      screen.focusPush(configInput);
+      safeRender();
+      isSubmitting = false;
+      return;
+    }
     if (configForm.configType === "loopHours" && value < 1) {
       addLog("Invalid input. Minimum is 1 hour.", "error");
       configInput.clearValue();
@@ -1794,9 +5614,48 @@ configForm.on("submit", () => {
     dailyActivityConfig.exethUnstakeRange.min = value;
     dailyActivityConfig.exethUnstakeRange.max = maxValue;
     addLog(`eXETH Unstake Range set to ${value} - ${maxValue}`, "success");
+  } else if (configForm.configType === "stakePercentRange" || configForm.configType === "unstakePercentRange") {
+    if (value > maxValue) {
+      addLog("Min value cannot be greater than Max value.", "error");
+      configInput.clearValue();
+      configInputMax.clearValue();
+      screen.focusPush(configInput);
+      safeRender();
+      isSubmitting = false;
+      return;
+    }
+    const strategyAction = configForm.configType === "stakePercentRange" ? "stake" : "unstake";
+    dailyActivityConfig.amountStrategies[strategyAction].percentRange = { min: value, max: maxValue };
+    addLog(`${strategyAction === "stake" ? "Stake" : "Unstake"} amount set to ${formatAmountStrategy(strategyAction)}`, "success");
+  } else if (configForm.configType === "stakeReserve" || configForm.configType === "unstakeReserve") {
+    const strategyAction = configForm.configType === "stakeReserve" ? "stake" : "unstake";
+    dailyActivityConfig.amountStrategies[strategyAction].reserve = value;
+    addLog(`${strategyAction === "stake" ? "Stake" : "Unstake"} amount set to ${formatAmountStrategy(strategyAction)}`, "success");
+  } else if (configForm.configType === "amountDecimals") {
+    dailyActivityConfig.amountDecimals = value;
+    addLog(`Amount decimals set to ${value}`, "success");
+  } else if (configForm.configType === "gasReserveEth") {
+    dailyActivityConfig.gasReserveEth = value;
+    addLog(`Gas reserve set to ${value} ETH`, "success");
   } else if (configForm.configType === "loopHours") {
     dailyActivityConfig.loopHours = value;
     addLog(`Loop Daily set to ${value} hours`, "success");
+  } else if (configForm.configType === "gasFunding") {
+    if (value >= maxValue) {
+      addLog("Threshold must be lower than the target.", "error");
+      configInput.clearValue();
+      configInputMax.clearValue();
+      screen.focusPush(configInput);
+      safeRender();
+      isSubmitting = false;
+      return;
+    }
+    dailyActivityConfig.gasFunding.thresholdEth = value;
+    dailyActivityConfig.gasFunding.targetEth = maxValue;
+    addLog(`Gas funding set to top up wallets below ${value} ETH to ${maxValue} ETH`, "success");
+  } else if (configForm.configType === "concurrency") {
+    dailyActivityConfig.concurrency = value;
+    addLog(`Concurrency set to ${value} wallet(s)${isCycleRunning ? ", applies from the next cycle" : ""}`, "success");
   }
   saveConfig();
   updateStatus();
@@ -1815,7 +5674,7 @@ configForm.on("submit", () => {
 });
 
 configInput.key(["enter"], () => {
-  if (["wethStakeRange", "exethUnstakeRange"].includes(configForm.configType)) {
+  if (["wethStakeRange", "exethUnstakeRange", "gasFunding", "stakePercentRange", "unstakePercentRange"].includes(configForm.configType)) {
     screen.focusPush(configInputMax);
   } else {
     configForm.submit();
@@ -1876,22 +5735,115 @@ swapSubMenu.key(["escape"], () => {
   }, 100);
 });
 
+toolsSubMenu.key(["escape"], () => {
+  toolsSubMenu.hide();
+  menuBox.show();
+  setTimeout(() => {
+    if (menuBox.visible) {
+      screen.focusPush(menuBox);
+      menuBox.style.border.fg = "cyan";
+      toolsSubMenu.style.border.fg = "green";
+      logBox.style.border.fg = "magenta";
+      safeRender();
+    }
+  }, 100);
+});
+
+historySubMenu.key(["escape"], () => {
+  historySubMenu.hide();
+  menuBox.show();
+  setTimeout(() => {
+    if (menuBox.visible) {
+      screen.focusPush(menuBox);
+      menuBox.style.border.fg = "cyan";
+      historySubMenu.style.border.fg = "cyan";
+      logBox.style.border.fg = "magenta";
+      safeRender();
+    }
+  }, 100);
+});
+
 screen.key(["escape", "q", "C-c"], () => {
   addLog("Exiting application", "info");
   clearInterval(statusInterval);
+  clearInterval(withdrawCountdownInterval);
   process.exit(0);
 });
 
+function unlockAccounts() {
+  return new Promise(resolve => {
+    passwordForm.once("unlocked", resolve);
+    passwordForm.show();
+    setTimeout(() => {
+      if (passwordForm.visible) {
+        screen.focusPush(passwordInput);
+        passwordInput.clearValue();
+        safeRender();
+      }
+    }, 100);
+  });
+}
+
+passwordForm.on("submit", () => {
+  const password = passwordInput.getValue();
+  passwordInput.clearValue();
+  addLog("Unlocking encrypted accounts...", "wait");
+  safeRender();
+  setTimeout(() => {
+    loadAccounts(password);
+    if (accounts.length === 0) {
+      screen.focusPush(passwordInput);
+      safeRender();
+      return;
+    }
+    unlockFunderKeystore(password);
+    passwordForm.hide();
+    menuBox.focus();
+    safeRender();
+    passwordForm.emit("unlocked");
+  }, 50);
+});
+
+passwordInput.key(["enter"], () => {
+  passwordForm.submit();
+});
+
+passwordSubmitButton.on("press", () => {
+  passwordForm.submit();
+});
+
+passwordSubmitButton.on("click", () => {
+  screen.focusPush(passwordSubmitButton);
+  passwordForm.submit();
+});
+
 async function initialize() {
   try {
     loadConfig();
-    loadAccounts();
+    if (hasEncryptedAccounts()) {
+      await unlockAccounts();
+    } else {
+      loadAccounts();
+    }
+    loadAccountSettings();
     loadProxies();
+    await initRpcHealthChecks();
+    await initProxyHealthChecks();
     updateStatus();
     await updateWallets();
     updateLogs();
     safeRender();
     menuBox.focus();
+    await initNonceManager();
+    await initClaimScheduler();
+    // A scheduled cycle would overwrite the interrupted state, so the schedule
+    // waits until the resume prompt is answered
+    const interrupted = getResumableCycle();
+    if (interrupted) {
+      offerCycleResume(interrupted);
+    } else {
+      armScheduleOnStartup();
+    }
   } catch (error) {
     addLog(`Initialization error: ${error.message}`, "error");
   }